@@ -0,0 +1,192 @@
+// analysis-client.js - Main-thread Interface to the Analysis Worker
+
+const AnalysisClient = {
+    // Dedicated worker, or null when analysis runs in-process
+    worker: null,
+
+    // Replies awaited by message id
+    requests: new Map(),
+    nextId: 1,
+
+    // Symbols whose tick buffer the engine holds; others are sent in full
+    synced: new Set(),
+
+    // CONFIG as last sent, to detect changes
+    configJSON: null,
+
+    // Round-trip time per tick in ms (last, and exponential moving average)
+    latency: { last: null, average: null },
+
+    // Storage keys (and their per-symbol variants) owned by the engine
+    storageScopes: ['models', 'metaLearner', 'markov', 'calibration'],
+
+    /**
+     * Start the worker; analysis stays on the main thread where workers are unavailable
+     * (e.g. pages opened from file://)
+     */
+    init() {
+        try {
+            this.worker = new Worker('analysis-worker.js');
+            this.worker.onmessage = e => this.handleMessage(e.data);
+            this.worker.onerror = e => this.fallBack(e.message || 'worker error');
+            Utils.log('Analysis worker started', 'info');
+        } catch (e) {
+            this.worker = null;
+            Utils.log('Analysis worker unavailable, running analysis on the main thread', 'warn', e);
+        }
+    },
+
+    /**
+     * (Re)load the engine's config and model state from Storage
+     */
+    reload() {
+        this.synced.clear();
+        this.configJSON = JSON.stringify(CONFIG);
+        return this.request('init', {
+            config: CONFIG,
+            storage: this.worker ? Storage.getRawItems(this.storageScopes) : null
+        });
+    },
+
+    /**
+     * Send a message and resolve with the engine's reply
+     */
+    request(type, payload = {}) {
+        if (!this.worker) {
+            try {
+                return Promise.resolve(AnalysisWorker.handle(type, payload));
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    },
+
+    /**
+     * Send a message whose reply is not needed
+     */
+    post(type, payload = {}) {
+        this.request(type, payload).catch(e => Utils.log(`Analysis ${type} failed`, 'error', e));
+    },
+
+    /**
+     * Persist the worker's storage writes and logs, then settle the request
+     */
+    handleMessage({ id, result, error, writes = {}, logs = [] }) {
+        Storage.setRawItems(writes);
+        logs.forEach(entry => Utils.saveLog(entry));
+
+        // The main thread's copy of the curves is read again on next use
+        if (Object.keys(writes).some(key => key.endsWith('calibration'))) {
+            Calibration.state = null;
+        }
+
+        const request = this.requests.get(id);
+        if (!request) return;
+        this.requests.delete(id);
+
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    },
+
+    /**
+     * Drop a failed worker and continue in-process
+     */
+    fallBack(reason) {
+        Utils.log(`Analysis worker failed (${reason}), running analysis on the main thread`, 'error');
+        this.worker.terminate();
+        this.worker = null;
+
+        this.requests.forEach(request => request.reject(new Error(reason)));
+        this.requests.clear();
+        this.reload();
+    },
+
+    /**
+     * Send config changes made since the last message
+     */
+    syncConfig() {
+        const json = JSON.stringify(CONFIG);
+        if (json === this.configJSON) return;
+        this.configJSON = json;
+        this.post('config', { config: CONFIG });
+    },
+
+    /**
+     * Process a tick: score due votes, test for drift and predict if asked
+     * @param {Object} tick - the new tick
+     * @param {Object[]} buffer - the symbol's tick buffer, ending with tick
+     * @param {boolean} predict - whether to run the models
+     * @returns {Promise<Object>} { settled, driftEvents, prediction, computeMs }
+     */
+    async processTick(tick, buffer, predict) {
+        this.syncConfig();
+
+        const symbol = tick.symbol || 'default';
+        const payload = { tick, predict };
+        if (!this.synced.has(symbol)) {
+            payload.ticks = buffer;
+            this.synced.add(symbol);
+        }
+
+        const started = performance.now();
+        const result = await this.request('tick', payload);
+        const total = performance.now() - started;
+
+        this.latency.last = total;
+        this.latency.average = this.latency.average === null ? total : this.latency.average * 0.9 + total * 0.1;
+
+        // In-process the main thread's detector already recorded them
+        if (this.worker) {
+            DriftDetector.addEvents(result.driftEvents);
+        }
+        if (result.prediction) {
+            result.prediction.latency = { total, compute: result.computeMs };
+        }
+        return result;
+    },
+
+    /**
+     * Send a symbol's whole buffer with its next tick (after a backfill)
+     */
+    resync(symbol) {
+        this.synced.delete(symbol || 'default');
+    },
+
+    setPredictionHorizon(trackingId, horizon) {
+        this.post('horizon', { trackingId, horizon });
+    },
+
+    updateQLearning(state, action, reward, newState, symbol) {
+        this.post('qUpdate', { state, action, reward, newState, symbol });
+    },
+
+    /**
+     * Replay a model over ticks with its baseline and proposed parameters, off the UI thread
+     * @returns {Promise<Object>} { baseline, proposed } replay results
+     */
+    previewModelConfig(model, ticks, baseline, proposed) {
+        this.syncConfig();
+        return this.request('preview', { model, ticks, baseline, proposed });
+    },
+
+    /**
+     * Save buffered model state (best effort when the page is unloading)
+     */
+    flush() {
+        this.post('flush');
+    }
+};
+
+// Export analysis client
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisClient;
+}
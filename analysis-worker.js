@@ -0,0 +1,153 @@
+// analysis-worker.js - Live Analysis Engine (dedicated Web Worker, or in-process fallback)
+//
+// Loaded as a worker by AnalysisClient. Without worker support the page loads it as a
+// plain script and AnalysisClient calls AnalysisWorker.handle() directly.
+
+const AnalysisWorker = {
+    // Tick buffers by symbol, mirrored from the main thread
+    buffers: {},
+
+    /**
+     * Handle one protocol message
+     * @param {string} type - init, config, tick, horizon, qUpdate, preview or flush
+     * @returns {*} the reply payload
+     */
+    handle(type, payload = {}) {
+        switch (type) {
+            case 'init':
+                // Model state is read again from the (re-seeded) storage
+                this.applyConfig(payload.config);
+                this.buffers = {};
+                Analysis.markovChains = {};
+                Calibration.state = null;
+                DriftDetector.reset();
+                return { ready: true };
+
+            case 'config':
+                this.applyConfig(payload.config);
+                return null;
+
+            case 'tick':
+                return this.processTick(payload);
+
+            case 'horizon':
+                Analysis.setPredictionHorizon(payload.trackingId, payload.horizon);
+                return null;
+
+            case 'qUpdate': {
+                const { state, action, reward, newState, symbol } = payload;
+                Analysis.updateQLearning(state, action, reward, newState, symbol);
+                return null;
+            }
+
+            case 'preview':
+                return Analysis.previewModelConfig(payload.model, payload.ticks, payload.baseline, payload.proposed);
+
+            case 'flush':
+                Analysis.saveMarkovChain();
+                Calibration.save();
+                return null;
+
+            default:
+                throw new Error(`Unknown analysis message: ${type}`);
+        }
+    },
+
+    /**
+     * Replace CONFIG's sections in place; every module holds a reference to it
+     */
+    applyConfig(config) {
+        if (!config || config === CONFIG) return;
+        Object.keys(config).forEach(key => {
+            CONFIG[key] = config[key];
+        });
+    },
+
+    /**
+     * Score votes due on the tick, test for drift and, when asked, predict the next tick
+     * @param {Object} payload - { tick, ticks (full buffer, to resync), predict }
+     */
+    processTick({ tick, ticks = null, predict = true }) {
+        const started = performance.now();
+        const symbol = tick.symbol || 'default';
+
+        if (ticks) {
+            this.buffers[symbol] = ticks.slice();
+        } else {
+            const buffer = this.buffers[symbol] || (this.buffers[symbol] = []);
+            buffer.push(tick);
+            if (buffer.length > CONFIG.storage.maxHistorySize) {
+                buffer.splice(0, buffer.length - CONFIG.storage.maxHistorySize);
+            }
+        }
+        const buffer = this.buffers[symbol];
+
+        const settled = Analysis.scorePendingPredictions(tick);
+        const driftEvents = DriftDetector.update(tick, buffer, settled);
+
+        let prediction = null;
+        if (predict && buffer.length >= 20) {
+            prediction = Analysis.predict(buffer);
+            Analysis.trackPredictions(prediction);
+        }
+
+        return {
+            settled,
+            driftEvents,
+            prediction,
+            computeMs: performance.now() - started
+        };
+    }
+};
+
+// Worker bootstrap: Storage runs on an in-memory copy of the analysis keys, seeded by
+// 'init'; writes and log entries go back to the main thread with each reply
+if (typeof window === 'undefined' && typeof importScripts === 'function') {
+    const store = {};
+    let writes = {};
+    let logs = [];
+
+    self.localStorage = {
+        getItem: key => (key in store ? store[key] : null),
+        setItem: (key, value) => {
+            store[key] = String(value);
+            writes[key] = store[key];
+        },
+        removeItem: key => {
+            delete store[key];
+            writes[key] = null;
+        }
+    };
+
+    importScripts('config.js', 'utils.js', 'storage-adapters.js', 'storage.js',
+        'contracts.js', 'calibration.js', 'drift-detector.js', 'analysis.js');
+
+    // Stored as JSON on the main thread anyway; this also keeps entries cloneable
+    Utils.saveLog = entry => logs.push(JSON.parse(JSON.stringify(entry)));
+
+    self.onmessage = ({ data }) => {
+        const { id, type, payload } = data;
+        const reply = { id };
+
+        try {
+            if (type === 'init') {
+                Object.keys(store).forEach(key => delete store[key]);
+                Object.assign(store, payload.storage);
+            }
+            reply.result = AnalysisWorker.handle(type, payload);
+        } catch (error) {
+            reply.error = error.message;
+        }
+
+        reply.writes = writes;
+        reply.logs = logs;
+        writes = {};
+        logs = [];
+        self.postMessage(reply);
+    };
+}
+
+// Export analysis worker
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisWorker;
+}
@@ -1,6 +1,12 @@
 // analysis.js - AI Models and Prediction Engine
 
 const Analysis = {
+    // Model votes waiting for the tick they will be scored against
+    pendingPredictions: [],
+
+    // Live Markov chains by symbol, loaded from Storage on first use
+    markovChains: {},
+
     /**
      * Initialize analysis engine
      */
@@ -10,21 +16,130 @@ const Analysis = {
 
     /**
      * Main prediction function - runs all models and fuses results
+     * @param {Object} [options.state] - scratch model state from createModelState(),
+     *   used instead of the live, persisted state (backtests and replays)
      */
-    predict(ticks) {
+    predict(ticks, { state = null } = {}) {
         const predictions = [];
         const enabledModels = this.getEnabledModels();
 
-        // Run all enabled models
+        // Run all enabled models; live confidences are calibrated before fusion
+        // (not in replays, whose ticks the live curves may already have learned from)
         enabledModels.forEach(modelName => {
-            const prediction = this.runModel(modelName, ticks);
+            const prediction = this.runModel(modelName, ticks, state);
             if (prediction) {
-                predictions.push(prediction);
+                predictions.push(state ? prediction : Calibration.apply(prediction));
             }
         });
 
         // Fuse predictions using decision engine
-        return this.fuseDecisions(predictions, ticks);
+        const result = this.fuseDecisions(predictions, ticks, state);
+        result.symbol = this.getSymbol(ticks);
+        return this.applyContract(result, predictions, state);
+    },
+
+    /**
+     * Scratch state for everything the engine learns (Markov chains, RL Q-table, model
+     * accuracy behind the performance weights, stacking meta-learner) that is never persisted
+     */
+    createModelState() {
+        return {
+            markovChains: {},
+            qTable: {},
+            models: Storage.getDefaultValue('models'),
+            metaLearner: Storage.getDefaultValue('metaLearner')
+        };
+    },
+
+    /**
+     * Score a replayed prediction's votes against the tick that followed it, training
+     * the scratch accuracy records and meta-learner as scorePendingPredictions does live
+     */
+    scoreScratchVotes(state, prediction, tick) {
+        const actual = tick.isEven ? 'EVEN' : 'ODD';
+        const votes = (prediction.modelBreakdown || []).filter(p => p.prediction);
+        if (votes.length === 0) return;
+
+        votes.forEach(vote => {
+            const record = state.models[vote.model] || (state.models[vote.model] = { accuracy: 0, predictions: 0, correct: 0 });
+            record.predictions++;
+            if (vote.prediction === actual) record.correct++;
+            record.accuracy = (record.correct / record.predictions) * 100;
+        });
+        this.trainMetaLearner(votes, actual, null, state.metaLearner);
+    },
+
+    /**
+     * Symbol a tick series belongs to; model state is kept per symbol
+     */
+    getSymbol(ticks) {
+        return ticks[ticks.length - 1]?.symbol || null;
+    },
+
+    /**
+     * Queue every model vote of a prediction for scoring, whether or not a trade follows
+     */
+    trackPredictions(prediction, horizon = 1) {
+        const votes = (prediction.modelBreakdown || [])
+            .filter(p => p.prediction)
+            .map(p => ({
+                model: p.model,
+                prediction: p.prediction,
+                confidence: p.confidence,
+                rawPrediction: p.rawPrediction ?? p.prediction,
+                rawConfidence: p.rawConfidence ?? p.confidence,
+                calibratedProbability: p.calibratedProbability ?? p.confidence
+            }));
+
+        if (votes.length === 0) return null;
+
+        const entry = {
+            id: Utils.generateId(),
+            symbol: prediction.symbol || null,
+            votes,
+            ticksRemaining: Math.max(1, horizon),
+            createdAt: Date.now()
+        };
+        this.pendingPredictions.push(entry);
+        prediction.trackingId = entry.id;
+        return entry.id;
+    },
+
+    /**
+     * Score a tracked prediction against the contract's exit tick instead of the next tick
+     */
+    setPredictionHorizon(trackingId, horizon) {
+        const entry = this.pendingPredictions.find(p => p.id === trackingId);
+        if (entry) {
+            entry.ticksRemaining = Math.max(1, horizon);
+        }
+    },
+
+    /**
+     * Score pending model votes for this tick's symbol that are due on it
+     */
+    scorePendingPredictions(tick) {
+        const actual = tick.isEven ? 'EVEN' : 'ODD';
+        const symbol = tick.symbol || null;
+        const settled = [];
+
+        this.pendingPredictions = this.pendingPredictions.filter(entry => {
+            if (entry.symbol !== symbol) return true;
+
+            entry.ticksRemaining--;
+            if (entry.ticksRemaining > 0) return true;
+
+            entry.votes.forEach(vote => {
+                Storage.updateModelPerformance(vote.model, vote.prediction, actual, symbol);
+                Calibration.record(vote.model, vote.rawConfidence, vote.calibratedProbability,
+                    vote.rawPrediction === actual);
+            });
+            this.trainMetaLearner(entry.votes, actual, symbol);
+            settled.push({ ...entry, actual, digit: tick.digit });
+            return false;
+        });
+
+        return settled;
     },
 
     /**
@@ -36,13 +151,15 @@ const Analysis = {
         if (CONFIG.models.pattern.enabled) models.push('pattern');
         if (CONFIG.models.ruleBased.enabled) models.push('ruleBased');
         if (CONFIG.models.reinforcementLearning.enabled) models.push('reinforcementLearning');
+        if (CONFIG.models.distribution.enabled) models.push('distribution');
+        if (CONFIG.models.markov.enabled) models.push('markov');
         return models;
     },
 
     /**
      * Run specific model
      */
-    runModel(modelName, ticks) {
+    runModel(modelName, ticks, state = null) {
         try {
             switch(modelName) {
                 case 'statistical':
@@ -52,7 +169,11 @@ const Analysis = {
                 case 'ruleBased':
                     return this.ruleBasedModel(ticks);
                 case 'reinforcementLearning':
-                    return this.reinforcementLearningModel(ticks);
+                    return this.reinforcementLearningModel(ticks, state?.qTable);
+                case 'distribution':
+                    return this.distributionModel(ticks);
+                case 'markov':
+                    return this.markovModel(ticks, state);
                 default:
                     return null;
             }
@@ -99,10 +220,15 @@ const Analysis = {
         const prediction = evenProb > oddProb ? 'EVEN' : 'ODD';
         const confidence = Math.max(evenProb, oddProb);
 
+        // Digit frequencies over the lookback, Laplace-smoothed
+        const digitCounts = new Array(10).fill(0);
+        recentTicks.forEach(t => digitCounts[t.digit]++);
+
         return {
             model: 'statistical',
             prediction,
             confidence,
+            digitProbabilities: digitCounts.map(count => (count + 1) / (lookback + 10)),
             details: {
                 evenProb: evenProb.toFixed(3),
                 oddProb: oddProb.toFixed(3),
@@ -153,10 +279,14 @@ const Analysis = {
 
         const prediction = evenProb > oddProb ? 'EVEN' : 'ODD';
 
+        const digitCounts = new Array(10).fill(0);
+        followingDigits.forEach(d => digitCounts[d]++);
+
         return {
             model: 'pattern',
             prediction,
             confidence,
+            digitProbabilities: digitCounts.map(count => (count + 1) / (followingDigits.length + 10)),
             details: {
                 matchesFound: matches.length,
                 evenFollowing,
@@ -291,15 +421,326 @@ const Analysis = {
         };
     },
 
+    /**
+     * Last-digit frequencies and randomness tests over the most recent windowSize ticks:
+     * chi-square against a uniform 0-9 distribution (9 df), and a Wald-Wolfowitz runs
+     * test on the even/odd sequence
+     */
+    getDigitDistribution(ticks, windowSize) {
+        const window = ticks.slice(-windowSize);
+        const size = window.length;
+        const counts = new Array(10).fill(0);
+        window.forEach(t => counts[t.digit]++);
+
+        const expected = size / 10;
+        const chiSquare = size > 0
+            ? counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0)
+            : 0;
+
+        const evenCount = counts.reduce((sum, count, digit) => sum + (digit % 2 === 0 ? count : 0), 0);
+        const oddCount = size - evenCount;
+        const parityZ = size > 0 ? (evenCount - size / 2) / Math.sqrt(size / 4) : 0;
+
+        let runs = size > 0 ? 1 : 0;
+        for (let i = 1; i < size; i++) {
+            if (window[i].isEven !== window[i - 1].isEven) runs++;
+        }
+
+        let runsZ = 0;
+        let runsP = 1;
+        const pairs = 2 * evenCount * oddCount;
+        if (evenCount > 0 && oddCount > 0) {
+            const mean = pairs / size + 1;
+            const variance = (pairs * (pairs - size)) / (size * size * (size - 1));
+            if (variance > 0) {
+                runsZ = (runs - mean) / Math.sqrt(variance);
+                runsP = 2 * (1 - Utils.normalCdf(Math.abs(runsZ)));
+            }
+        }
+
+        return {
+            size,
+            counts,
+            frequencies: counts.map(count => (size > 0 ? count / size : 0)),
+            evenShare: size > 0 ? evenCount / size : 0.5,
+            chiSquare,
+            chiSquareP: size > 0 ? Utils.chiSquarePValue(chiSquare, 9) : 1,
+            parityP: 2 * (1 - Utils.normalCdf(Math.abs(parityZ))),
+            runs,
+            runsZ,
+            runsP,
+            // Share of consecutive ticks whose parity changed
+            switchRate: size > 1 ? (runs - 1) / (size - 1) : 0.5
+        };
+    },
+
+    /**
+     * Digit Distribution Model: signals only when a window's digits are significantly
+     * non-uniform with a parity skew, or its even/odd runs are significantly non-random
+     */
+    distributionModel(ticks) {
+        const { windows, significanceLevel, minTicks } = CONFIG.models.distribution;
+        if (ticks.length < minTicks) {
+            return { model: 'distribution', prediction: null, confidence: 0 };
+        }
+
+        const sizes = [...new Set(windows.map(size => Math.min(size, ticks.length)))];
+        const stats = sizes.map(size => this.getDigitDistribution(ticks, size));
+
+        // Two tests per window
+        const alpha = significanceLevel / (2 * stats.length);
+        const lastIsEven = ticks[ticks.length - 1].isEven;
+        const signals = [];
+
+        stats.forEach(s => {
+            if (s.chiSquareP < alpha && s.parityP < significanceLevel) {
+                signals.push({
+                    test: 'chiSquare',
+                    window: s.size,
+                    pValue: s.chiSquareP,
+                    prediction: s.evenShare > 0.5 ? 'EVEN' : 'ODD',
+                    confidence: Math.max(s.evenShare, 1 - s.evenShare)
+                });
+            }
+            if (s.runsP < alpha) {
+                // Too few runs: parities cluster, so expect a repeat; too many: expect a switch
+                const expectSwitch = s.runsZ > 0;
+                signals.push({
+                    test: 'runs',
+                    window: s.size,
+                    pValue: s.runsP,
+                    prediction: lastIsEven === expectSwitch ? 'ODD' : 'EVEN',
+                    confidence: expectSwitch ? s.switchRate : 1 - s.switchRate
+                });
+            }
+        });
+
+        const signal = signals.sort((a, b) => a.pValue - b.pValue)[0] || null;
+
+        // Digit probabilities only from a window whose digits are significantly non-uniform
+        const skewed = stats.filter(s => s.chiSquareP < alpha).sort((a, b) => a.chiSquareP - b.chiSquareP)[0];
+
+        return {
+            model: 'distribution',
+            prediction: signal ? signal.prediction : null,
+            confidence: signal ? signal.confidence : 0,
+            digitProbabilities: skewed ? skewed.counts.map(count => (count + 1) / (skewed.size + 10)) : null,
+            details: {
+                alpha,
+                signal: signal ? `${signal.test} (${signal.window} ticks, p=${signal.pValue.toExponential(2)})` : 'none',
+                windows: stats.map(s => ({
+                    size: s.size,
+                    frequencies: s.frequencies,
+                    chiSquare: s.chiSquare,
+                    chiSquareP: s.chiSquareP,
+                    runsZ: s.runsZ,
+                    runsP: s.runsP
+                }))
+            }
+        };
+    },
+
+    /**
+     * Variable-order Markov Model over the digit and parity streams
+     *
+     * Transition counts are kept per context order (pattern.minPatternLength to
+     * maxPatternLength) and updated incrementally, so each tick costs O(orders).
+     * Prediction backs off from the longest context seen at least minObservations
+     * times, with Laplace smoothing; the digit and parity estimates are averaged.
+     */
+    markovModel(ticks, state = null) {
+        const symbol = this.getSymbol(ticks);
+        const chain = this.getMarkovChain(symbol, state);
+        const learned = this.learnMarkovTicks(chain, ticks);
+
+        if (!state && learned > 0) {
+            chain.unsaved += learned;
+            if (chain.unsaved >= CONFIG.models.markov.saveInterval) {
+                this.saveMarkovChain(symbol);
+            }
+        }
+
+        const { smoothing } = CONFIG.models.markov;
+        const digitEstimate = this.backoffMarkov(chain, 'digit', chain.history, 10);
+        const parityEstimate = this.backoffMarkov(chain, 'parity', chain.history.map(d => d % 2), 2);
+        const estimates = [digitEstimate, parityEstimate].filter(Boolean);
+
+        if (estimates.length === 0) {
+            return { model: 'markov', prediction: null, confidence: 0 };
+        }
+
+        const evenProb = estimates.reduce((sum, e) => sum + e.evenProb, 0) / estimates.length;
+
+        return {
+            model: 'markov',
+            prediction: evenProb >= 0.5 ? 'EVEN' : 'ODD',
+            confidence: Math.max(evenProb, 1 - evenProb),
+            digitProbabilities: digitEstimate ? digitEstimate.probabilities : null,
+            details: {
+                evenProb: evenProb.toFixed(3),
+                digitOrder: digitEstimate?.order ?? 'none',
+                digitObservations: digitEstimate?.observations ?? 0,
+                parityOrder: parityEstimate?.order ?? 'none',
+                parityObservations: parityEstimate?.observations ?? 0,
+                smoothing
+            }
+        };
+    },
+
+    /**
+     * Live chain for a symbol, or the scratch one when a state is given
+     */
+    getMarkovChain(symbol, state = null) {
+        const key = symbol || 'default';
+        const chains = state ? state.markovChains : this.markovChains;
+
+        if (!chains[key]) {
+            const saved = state ? null : Storage.getMarkovChain(symbol);
+            chains[key] = saved || { lastEpoch: null, history: [], orders: {}, unsaved: 0 };
+            chains[key].unsaved = 0;
+        }
+        return chains[key];
+    },
+
+    /**
+     * Forget what a model has learned on a symbol; a Markov chain restarts
+     * from the next tick rather than relearning the buffered ones
+     */
+    resetModelState(modelName, symbol = null) {
+        if (modelName === 'markov') {
+            const chain = this.getMarkovChain(symbol);
+            this.markovChains[symbol || 'default'] = {
+                lastEpoch: chain.lastEpoch, history: [], orders: {}, unsaved: 1
+            };
+            this.saveMarkovChain(symbol);
+        }
+        Storage.resetModel(modelName, symbol);
+    },
+
+    /**
+     * Persist live chains (one symbol, or all)
+     */
+    saveMarkovChain(symbol = undefined) {
+        const keys = symbol === undefined ? Object.keys(this.markovChains) : [symbol || 'default'];
+
+        keys.forEach(key => {
+            const chain = this.markovChains[key];
+            if (!chain || chain.unsaved === 0) return;
+            chain.unsaved = 0;
+            Storage.saveMarkovChain(chain, key === 'default' ? null : key);
+        });
+    },
+
+    /**
+     * Feed the ticks the chain has not seen yet (normally just the latest one)
+     * @returns {number} ticks learned
+     */
+    learnMarkovTicks(chain, ticks) {
+        let start = ticks.length;
+        while (start > 0 && (chain.lastEpoch === null || ticks[start - 1].timestamp > chain.lastEpoch)) {
+            start--;
+        }
+
+        for (let i = start; i < ticks.length; i++) {
+            this.updateMarkovChain(chain, ticks[i].digit);
+            chain.lastEpoch = ticks[i].timestamp;
+        }
+        return ticks.length - start;
+    },
+
+    /**
+     * Count `digit` after each context order ending at the current history
+     */
+    updateMarkovChain(chain, digit) {
+        const { minPatternLength, maxPatternLength } = CONFIG.models.pattern;
+        const { maxContextsPerOrder } = CONFIG.models.markov;
+        const history = chain.history;
+
+        for (let order = minPatternLength; order <= maxPatternLength && order <= history.length; order++) {
+            const context = history.slice(-order);
+            const tables = chain.orders[order] ||
+                (chain.orders[order] = { digit: {}, parity: {}, contexts: { digit: 0, parity: 0 } });
+
+            [
+                ['digit', context.join(''), digit, 10],
+                ['parity', context.map(d => d % 2).join(''), digit % 2, 2]
+            ].forEach(([stream, key, outcome, outcomes]) => {
+                if (!tables[stream][key]) {
+                    tables[stream][key] = new Array(outcomes).fill(0);
+                    if (++tables.contexts[stream] > maxContextsPerOrder) {
+                        tables.contexts[stream] = this.pruneMarkovTable(tables[stream], maxContextsPerOrder);
+                    }
+                }
+                if (tables[stream][key]) tables[stream][key][outcome]++;
+            });
+        }
+
+        history.push(digit);
+        if (history.length > maxPatternLength) {
+            history.splice(0, history.length - maxPatternLength);
+        }
+    },
+
+    /**
+     * Bring a context table back under maxContexts: drop contexts seen at most once,
+     * then halve all counts (forgetting old evidence) until it fits. Runs only when
+     * the table overflows, so its cost is amortized over many ticks.
+     * @returns {number} contexts left
+     */
+    pruneMarkovTable(table, maxContexts) {
+        const total = counts => counts.reduce((a, b) => a + b, 0);
+        Object.keys(table).forEach(key => {
+            if (total(table[key]) <= 1) delete table[key];
+        });
+
+        while (Object.keys(table).length > maxContexts) {
+            Object.keys(table).forEach(key => {
+                table[key] = table[key].map(count => Math.floor(count / 2));
+                if (total(table[key]) === 0) delete table[key];
+            });
+        }
+        return Object.keys(table).length;
+    },
+
+    /**
+     * Smoothed P(next is even) from the longest context with enough observations
+     * @returns {Object|null} { order, observations, evenProb, probabilities (per outcome) }
+     */
+    backoffMarkov(chain, stream, sequence, outcomes) {
+        const { minPatternLength, maxPatternLength } = CONFIG.models.pattern;
+        const { smoothing, minObservations } = CONFIG.models.markov;
+
+        for (let order = Math.min(maxPatternLength, sequence.length); order >= minPatternLength; order--) {
+            const counts = chain.orders[order]?.[stream]?.[sequence.slice(-order).join('')];
+            if (!counts) continue;
+
+            const observations = counts.reduce((a, b) => a + b, 0);
+            if (observations < minObservations) continue;
+
+            // Even outcomes: digits 0,2,4,6,8, or parity 0
+            const evenCount = counts.reduce((sum, count, outcome) => sum + (outcome % 2 === 0 ? count : 0), 0);
+            const evenOutcomes = outcomes / 2;
+            const denominator = observations + smoothing * outcomes;
+            return {
+                order,
+                observations,
+                evenProb: (evenCount + smoothing * evenOutcomes) / denominator,
+                probabilities: counts.map(count => (count + smoothing) / denominator)
+            };
+        }
+        return null;
+    },
+
     /**
      * Reinforcement Learning Model (Q-Learning)
+     * @param {Object} [qTable] - Q-table to act on; defaults to the symbol's stored table
      */
-    reinforcementLearningModel(ticks) {
+    reinforcementLearningModel(ticks, qTable = null) {
         if (ticks.length < 20) {
             return { model: 'reinforcementLearning', prediction: null, confidence: 0 };
         }
 
-        const qTable = Storage.getQTable();
+        qTable = qTable || Storage.getQTable(this.getSymbol(ticks));
         const state = this.getState(ticks);
         const stateKey = JSON.stringify(state);
 
@@ -348,9 +789,10 @@ const Analysis = {
 
     /**
      * Update Q-table after trade result
+     * A scratch qTable is updated in place and not saved.
      */
-    updateQLearning(state, action, reward, newState) {
-        const qTable = Storage.getQTable();
+    updateQLearning(state, action, reward, newState, symbol = null, scratchTable = null) {
+        const qTable = scratchTable || Storage.getQTable(symbol);
         const stateKey = JSON.stringify(state);
         const newStateKey = JSON.stringify(newState);
 
@@ -370,13 +812,71 @@ const Analysis = {
         // Q-learning update rule
         qTable[stateKey][action] = currentQ + alpha * (reward + gamma * maxNextQ - currentQ);
 
-        Storage.saveQTable(qTable);
+        if (!scratchTable) {
+            Storage.saveQTable(qTable, symbol);
+        }
+    },
+
+    /**
+     * Walk-forward replay of one model over a tick series: at each tick, predict it from
+     * the ticks before it. Nothing is persisted; stateful models learn into scratch state.
+     * @param {Object} params - model parameters to use instead of CONFIG.models[modelName]
+     * @returns {Object} { steps, predictions, correct, accuracy, coverage }
+     */
+    replayModel(modelName, ticks, params = {}) {
+        const original = CONFIG.models[modelName];
+        const window = CONFIG.storage.maxHistorySize;
+        const state = this.createModelState();
+        let predictions = 0;
+        let correct = 0;
+        let steps = 0;
+
+        CONFIG.models[modelName] = { ...original, ...params };
+        try {
+            for (let i = 1; i < ticks.length; i++) {
+                const history = ticks.slice(Math.max(0, i - window), i);
+                const result = this.runModel(modelName, history, state);
+                steps++;
+
+                if (!result || !result.prediction) continue;
+
+                const actual = ticks[i].isEven ? 'EVEN' : 'ODD';
+                const won = result.prediction === actual;
+                predictions++;
+                if (won) correct++;
+
+                if (modelName === 'reinforcementLearning') {
+                    this.updateQLearning(this.getState(history), result.prediction, won ? 1 : -1,
+                        this.getState(ticks.slice(0, i + 1)), null, state.qTable);
+                }
+            }
+        } finally {
+            CONFIG.models[modelName] = original;
+        }
+
+        return {
+            steps,
+            predictions,
+            correct,
+            accuracy: predictions > 0 ? (correct / predictions) * 100 : 0,
+            coverage: steps > 0 ? (predictions / steps) * 100 : 0
+        };
+    },
+
+    /**
+     * Compare a model's replayed accuracy under two parameter sets
+     */
+    previewModelConfig(modelName, ticks, baselineParams, proposedParams) {
+        return {
+            baseline: this.replayModel(modelName, ticks, baselineParams),
+            proposed: this.replayModel(modelName, ticks, proposedParams)
+        };
     },
 
     /**
      * Decision Engine: Fuse predictions from all models
      */
-    fuseDecisions(predictions, ticks) {
+    fuseDecisions(predictions, ticks, state = null) {
         if (predictions.length === 0) {
             return {
                 finalPrediction: null,
@@ -387,36 +887,41 @@ const Analysis = {
             };
         }
 
-        const weightMethod = CONFIG.strategy.weightMethod;
-        const weights = this.calculateWeights(predictions, weightMethod);
-
-        // Calculate weighted votes
-        let evenScore = 0;
-        let oddScore = 0;
+        const ensembleMethod = CONFIG.strategy.ensembleMethod;
+        const symbol = this.getSymbol(ticks);
+        let fused;
 
-        predictions.forEach((pred, index) => {
-            if (pred.prediction === 'EVEN') {
-                evenScore += pred.confidence * weights[index];
-            } else if (pred.prediction === 'ODD') {
-                oddScore += pred.confidence * weights[index];
-            }
-        });
+        switch(ensembleMethod) {
+            case 'voting':
+                fused = this.fuseByVoting(predictions);
+                break;
+            case 'stacking':
+                fused = this.fuseByStacking(predictions, symbol, state);
+                break;
+            default:
+                fused = this.fuseByWeighting(predictions, symbol, state);
+        }
 
-        const totalScore = evenScore + oddScore;
-        const finalPrediction = evenScore > oddScore ? 'EVEN' : 'ODD';
-        const confidence = totalScore > 0 ? Math.max(evenScore, oddScore) / totalScore : 0;
+        const { finalPrediction, confidence } = fused;
 
         // Determine if we should trade
         const minConfidence = CONFIG.trading.minConfidence / 100;
-        const shouldTrade = confidence >= minConfidence;
+        let shouldTrade = confidence >= minConfidence;
         
         let reason = '';
-        if (!shouldTrade) {
+        if (fused.blockReason) {
+            shouldTrade = false;
+            reason = fused.blockReason;
+        } else if (!shouldTrade) {
             reason = `Confidence ${(confidence * 100).toFixed(1)}% below threshold ${CONFIG.trading.minConfidence}%`;
         } else {
             reason = `Strong ${finalPrediction} signal with ${(confidence * 100).toFixed(1)}% confidence`;
         }
 
+        if (fused.note) {
+            reason += ` (${fused.note})`;
+        }
+
         // Run Monte Carlo simulation for additional validation
         if (shouldTrade && CONFIG.strategy.ensembleMethod === 'weighted') {
             const simResult = this.runMonteCarloSimulation(predictions, 100);
@@ -455,16 +960,219 @@ const Analysis = {
             shouldTrade,
             reason,
             modelBreakdown: predictions,
-            scores: { evenScore, oddScore },
+            scores: fused.scores,
+            ensembleMethod,
             duration
         };
     },
 
+    /**
+     * Map the fused parity decision onto the selected contract family. Digit families
+     * trade the side with the best expected return under the models' fused digit
+     * probabilities; the parity-only checks (threshold, Monte Carlo) do not apply to them.
+     */
+    applyContract(result, predictions, state = null) {
+        const { contractFamily, barrier, minExpectedReturn } = CONFIG.trading;
+
+        if (contractFamily === 'evenOdd') {
+            result.contract = result.finalPrediction ? Contracts.create('evenOdd', result.finalPrediction) : null;
+            return result;
+        }
+
+        const digitProbabilities = this.fuseDigitProbabilities(predictions, result.symbol, state);
+        if (!digitProbabilities) {
+            return { ...result, shouldTrade: false, contract: null };
+        }
+
+        const choice = Contracts.choose(contractFamily, barrier, digitProbabilities);
+        const { contract, probability, payoutRatio, expectedReturn } = choice;
+        const shouldTrade = expectedReturn >= minExpectedReturn;
+        const returnText = `expected return ${(expectedReturn * 100).toFixed(1)}% at payout ${payoutRatio.toFixed(2)}`;
+
+        return {
+            ...result,
+            finalPrediction: contract.side,
+            confidence: probability,
+            shouldTrade,
+            reason: shouldTrade
+                ? `${contract.label}: win probability ${(probability * 100).toFixed(1)}%, ${returnText}`
+                : `Best contract ${contract.label} has ${returnText}, below minimum ${(minExpectedReturn * 100).toFixed(1)}%`,
+            contract,
+            parityPrediction: result.finalPrediction,
+            digitProbabilities
+        };
+    },
+
+    /**
+     * Weighted average of the models' digit probability vectors
+     * @returns {number[]|null}
+     */
+    fuseDigitProbabilities(predictions, symbol = null, state = null) {
+        const weights = this.calculateWeights(predictions, CONFIG.strategy.weightMethod, symbol, state);
+        const fused = new Array(10).fill(0);
+        let totalWeight = 0;
+
+        predictions.forEach((pred, index) => {
+            const probabilities = Contracts.toDigitProbabilities(pred);
+            if (!probabilities) return;
+
+            probabilities.forEach((p, digit) => {
+                fused[digit] += p * weights[index];
+            });
+            totalWeight += weights[index];
+        });
+
+        return totalWeight > 0 ? fused.map(p => p / totalWeight) : null;
+    },
+
+    /**
+     * Weighted ensemble: confidence-weighted score per side
+     */
+    fuseByWeighting(predictions, symbol = null, state = null) {
+        const weights = this.calculateWeights(predictions, CONFIG.strategy.weightMethod, symbol, state);
+
+        // Calculate weighted votes
+        let evenScore = 0;
+        let oddScore = 0;
+
+        predictions.forEach((pred, index) => {
+            if (pred.prediction === 'EVEN') {
+                evenScore += pred.confidence * weights[index];
+            } else if (pred.prediction === 'ODD') {
+                oddScore += pred.confidence * weights[index];
+            }
+        });
+
+        const totalScore = evenScore + oddScore;
+
+        return {
+            finalPrediction: evenScore > oddScore ? 'EVEN' : 'ODD',
+            confidence: totalScore > 0 ? Math.max(evenScore, oddScore) / totalScore : 0,
+            scores: { evenScore, oddScore }
+        };
+    },
+
+    /**
+     * Voting ensemble: one vote per model, trade only on a votingThreshold majority
+     */
+    fuseByVoting(predictions) {
+        const votes = predictions.filter(p => p.prediction);
+        const evenVotes = votes.filter(p => p.prediction === 'EVEN').length;
+        const oddVotes = votes.length - evenVotes;
+        const finalPrediction = evenVotes > oddVotes ? 'EVEN' : 'ODD';
+
+        const agreeing = votes.filter(p => p.prediction === finalPrediction);
+        const voteShare = votes.length > 0 ? agreeing.length / votes.length : 0;
+        const confidence = agreeing.length > 0
+            ? agreeing.reduce((sum, p) => sum + p.confidence, 0) / agreeing.length
+            : 0;
+
+        const threshold = CONFIG.strategy.votingThreshold;
+        let blockReason = null;
+
+        if (votes.length === 0) {
+            blockReason = 'No model cast a vote';
+        } else if (evenVotes === oddVotes) {
+            blockReason = `Vote tied ${evenVotes}-${oddVotes}`;
+        } else if (voteShare < threshold) {
+            blockReason = `Only ${agreeing.length}/${votes.length} models vote ${finalPrediction}, ` +
+                `below ${(threshold * 100).toFixed(0)}% voting threshold`;
+        }
+
+        return {
+            finalPrediction,
+            confidence,
+            blockReason,
+            scores: { evenVotes, oddVotes, voteShare }
+        };
+    },
+
+    /**
+     * Stacking ensemble: logistic meta-learner over the models' signed confidences
+     */
+    fuseByStacking(predictions, symbol = null, state = null) {
+        const learner = state ? state.metaLearner : Storage.getMetaLearner(symbol);
+        const minSamples = CONFIG.strategy.stacking.minSamples;
+
+        if (learner.samples < minSamples) {
+            return {
+                ...this.fuseByWeighting(predictions, symbol, state),
+                note: `stacking meta-learner warming up ${learner.samples}/${minSamples}, used weighted`
+            };
+        }
+
+        let logit = learner.bias;
+        predictions.forEach(pred => {
+            logit += (learner.weights[pred.model] || 0) * this.getStackingFeature(pred);
+        });
+
+        const evenProb = 1 / (1 + Math.exp(-logit));
+
+        return {
+            finalPrediction: evenProb >= 0.5 ? 'EVEN' : 'ODD',
+            confidence: Math.max(evenProb, 1 - evenProb),
+            scores: { evenProb, oddProb: 1 - evenProb, logit }
+        };
+    },
+
+    /**
+     * Meta-learner input for one model: +confidence for EVEN, -confidence for ODD
+     */
+    getStackingFeature(pred) {
+        if (pred.prediction === 'EVEN') return pred.confidence;
+        if (pred.prediction === 'ODD') return -pred.confidence;
+        return 0;
+    },
+
+    /**
+     * Train the stacking meta-learner on one settled set of model votes (online SGD)
+     * A scratch learner is updated in place and not saved.
+     */
+    trainMetaLearner(votes, actual, symbol = null, scratchLearner = null) {
+        const learner = scratchLearner || Storage.getMetaLearner(symbol);
+        const { learningRate, regularization } = CONFIG.strategy.stacking;
+
+        let logit = learner.bias;
+        votes.forEach(vote => {
+            logit += (learner.weights[vote.model] || 0) * this.getStackingFeature(vote);
+        });
+
+        const evenProb = 1 / (1 + Math.exp(-logit));
+        const error = (actual === 'EVEN' ? 1 : 0) - evenProb;
+
+        votes.forEach(vote => {
+            const weight = learner.weights[vote.model] || 0;
+            learner.weights[vote.model] = weight +
+                learningRate * (error * this.getStackingFeature(vote) - regularization * weight);
+        });
+        learner.bias += learningRate * error;
+        learner.samples++;
+
+        if (!scratchLearner) {
+            Storage.saveMetaLearner(learner, symbol);
+        }
+    },
+
     /**
      * Calculate weights for each model's prediction
      */
-    calculateWeights(predictions, method) {
-        const models = Storage.getModels();
+    calculateWeights(predictions, method, symbol = null, state = null) {
+        const weights = this.calculateBaseWeights(predictions, method, symbol, state);
+
+        // Drift penalties come from live detection, which replays do not run
+        if (state) return weights;
+
+        // Models in a detected drift keep a reduced share until they recover
+        const adjusted = weights.map((w, i) => w * DriftDetector.getWeightMultiplier(predictions[i].model, symbol));
+        const total = adjusted.reduce((a, b) => a + b, 0);
+        return total > 0 ? adjusted.map(w => w / total) : weights;
+    },
+
+    /**
+     * Weights by the configured method, before drift penalties
+     */
+    calculateBaseWeights(predictions, method, symbol = null, state = null) {
+        const models = state ? state.models : Storage.getModels(symbol);
 
         switch(method) {
             case 'equal':
@@ -473,7 +1181,8 @@ const Analysis = {
             case 'performance':
                 const accuracies = predictions.map(p => {
                     const modelData = models[p.model];
-                    return modelData ? modelData.accuracy / 100 : 0.5;
+                    // Unscored models start from a coin-flip prior rather than zero weight
+                    return modelData && modelData.predictions > 0 ? modelData.accuracy / 100 : 0.5;
                 });
                 const totalAccuracy = accuracies.reduce((a, b) => a + b, 0);
                 return accuracies.map(acc => totalAccuracy > 0 ? acc / totalAccuracy : 1 / predictions.length);
@@ -0,0 +1,302 @@
+// backtest.js - Walk-forward Backtesting Engine
+
+const Backtest = {
+    /**
+     * Replay a tick series through Analysis.predict without lookahead
+     *
+     * Each prediction only sees ticks up to and including the current one; the
+     * trade is settled on the tick `duration` steps later. Contracts do not
+     * overlap, so stake progression depends on the previous outcome just like
+     * the live bot. The progression starts fresh and does not touch the live one;
+     * there is no account balance, so fraction-based strategies size off baseStake.
+     * Learned model state (accuracy weights, meta-learner, Q-table, Markov chains)
+     * also starts fresh and only learns from the replayed ticks, as it would live.
+     *
+     * @param {Array} ticks - normalized ticks of one symbol (see normalizeTicks)
+     * @param {Object} options
+     * @param {Function} options.calculateStake - (context with stakingState) => stake
+     * @param {Function} options.getRiskViolation - (context) => violation or null
+     * @param {number} [options.windowSize] - max ticks passed to Analysis.predict
+     * @param {number} [options.payoutRatio] - even/odd payout per unit staked on a win
+     * @param {Function} [options.onProgress] - (processed, total) => void
+     */
+    async run(ticks, options = {}) {
+        const {
+            calculateStake,
+            getRiskViolation,
+            windowSize = CONFIG.storage.maxHistorySize,
+            payoutRatio = CONFIG.trading.defaultPayoutRatio,
+            minHistory = 20,
+            onProgress = null
+        } = options;
+
+        // Interleaved symbols would make one meaningless digit series
+        const symbols = new Set(ticks.map(tick => tick.symbol));
+        if (symbols.size > 1) {
+            throw new Error(`Backtest one symbol at a time (got ${[...symbols].join(', ')})`);
+        }
+
+        const state = {
+            consecutiveLosses: 0,
+            dailyLoss: 0,
+            wins: 0,
+            losses: 0,
+            equity: 0,
+            peak: 0,
+            maxDrawdown: 0,
+            lastTradeTime: -Infinity,
+            currentDay: null
+        };
+        const trades = [];
+        const returns = [];
+        const equityCurve = [];
+        let signals = 0;
+        let haltReason = null;
+        let nextFreeIndex = 0;
+
+        // Models learn from the replayed ticks only, never from or into the live state
+        const modelState = Analysis.createModelState();
+        let stakingState = Staking.initialState();
+
+        for (let i = minHistory - 1; i < ticks.length; i++) {
+            // Yield to the UI thread periodically
+            if (i % 200 === 0) {
+                if (onProgress) onProgress(i, ticks.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            // A contract is still open
+            if (i < nextFreeIndex) continue;
+
+            const tick = ticks[i];
+            const day = new Date(tick.timestamp * 1000).toDateString();
+            if (day !== state.currentDay) {
+                state.currentDay = day;
+                state.dailyLoss = 0;
+            }
+
+            const history = ticks.slice(Math.max(0, i + 1 - windowSize), i + 1);
+            const prediction = Analysis.predict(history, { state: modelState });
+            if (i + 1 < ticks.length) {
+                Analysis.scoreScratchVotes(modelState, prediction, ticks[i + 1]);
+            }
+
+            if (!prediction.shouldTrade) continue;
+            signals++;
+
+            const violation = getRiskViolation({
+                consecutiveLosses: state.consecutiveLosses,
+                dailyLoss: state.dailyLoss
+            });
+            if (violation) {
+                haltReason = `${violation.title}: ${violation.message}`;
+                break;
+            }
+
+            if (tick.timestamp - state.lastTradeTime < CONFIG.risk.cooldownPeriod) continue;
+
+            const duration = prediction.duration || CONFIG.trading.contractDuration;
+            const exitIndex = i + duration;
+            if (exitIndex >= ticks.length) break;
+
+            // payoutRatio is for even/odd; other contracts are scaled by their odds
+            const contract = prediction.contract;
+            const contractPayoutRatio = Contracts.payoutRatioFor(contract, payoutRatio);
+
+            const settledTrades = state.wins + state.losses;
+            const stake = calculateStake({
+                stakingState,
+                balance: null,
+                winProbability: prediction.confidence,
+                winRate: settledTrades > 0 ? state.wins / settledTrades : 0,
+                payoutRatio: contractPayoutRatio
+            });
+
+            const exitTick = ticks[exitIndex];
+            const result = Contracts.wins(contract, exitTick.digit) ? 'win' : 'loss';
+            const profit = result === 'win' ? stake * (contractPayoutRatio - 1) : -stake;
+
+            if (result === 'win') {
+                state.wins++;
+                state.consecutiveLosses = 0;
+            } else {
+                state.losses++;
+                state.consecutiveLosses++;
+                state.dailyLoss += stake;
+            }
+
+            // RL learns even/odd actions only, as in live settlement
+            if (CONFIG.models.reinforcementLearning.enabled && contract.family === 'evenOdd') {
+                Analysis.updateQLearning(Analysis.getState(history), contract.side, result === 'win' ? 1 : -1,
+                    Analysis.getState(ticks.slice(0, exitIndex + 1)), null, modelState.qTable);
+            }
+
+            stakingState = Staking.advance(stakingState, {
+                won: result === 'win',
+                stake,
+                profit,
+                payoutRatio: contractPayoutRatio
+            });
+
+            state.equity += profit;
+            state.peak = Math.max(state.peak, state.equity);
+            state.maxDrawdown = Math.max(state.maxDrawdown, state.peak - state.equity);
+
+            trades.push({
+                entryTime: tick.timestamp,
+                exitTime: exitTick.timestamp,
+                prediction: contract.label,
+                confidence: prediction.confidence,
+                actualDigit: exitTick.digit,
+                duration,
+                stake,
+                profit,
+                result
+            });
+            returns.push(profit / stake);
+            equityCurve.push({ timestamp: exitTick.timestamp, equity: state.equity });
+
+            state.lastTradeTime = tick.timestamp;
+            nextFreeIndex = exitIndex;
+        }
+
+        if (onProgress) onProgress(ticks.length, ticks.length);
+
+        return this.summarize(trades, returns, equityCurve, state, {
+            ticksProcessed: ticks.length,
+            signals,
+            haltReason
+        });
+    },
+
+    /**
+     * Build the result report from the replayed trades
+     */
+    summarize(trades, returns, equityCurve, state, extra) {
+        const totalTrades = trades.length;
+        const grossProfit = trades
+            .filter(t => t.result === 'win')
+            .reduce((sum, t) => sum + t.profit, 0);
+        const grossLoss = trades
+            .filter(t => t.result === 'loss')
+            .reduce((sum, t) => sum - t.profit, 0);
+
+        return {
+            totalTrades,
+            wins: state.wins,
+            losses: state.losses,
+            winRate: totalTrades > 0 ? (state.wins / totalTrades) * 100 : 0,
+            totalPnL: state.equity,
+            grossProfit,
+            grossLoss,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : 0,
+            maxDrawdown: state.maxDrawdown,
+            sharpeRatio: Utils.calculateSharpeRatio(returns),
+            equityCurve,
+            trades,
+            ...extra
+        };
+    },
+
+    /**
+     * Normalize stored, exported or raw API ticks into the Storage tick format
+     */
+    normalizeTicks(rawTicks) {
+        const seen = new Set();
+
+        return rawTicks
+            .map(tick => {
+                const timestamp = Number(tick.timestamp ?? tick.epoch);
+                const quote = Number(tick.quote);
+                if (!Number.isFinite(timestamp) || !Number.isFinite(quote)) return null;
+
+                const digit = Number.isInteger(tick.digit) ? tick.digit : Utils.getLastDigit(tick.quote, tick.pip_size);
+                return {
+                    timestamp,
+                    symbol: tick.symbol || null,
+                    quote,
+                    digit,
+                    isEven: Utils.isEven(digit)
+                };
+            })
+            .filter(tick => {
+                if (!tick) return false;
+                const key = `${tick.symbol}_${tick.timestamp}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Parse an imported tick file (JSON array, backup JSON or CSV with epoch/quote columns)
+     */
+    parseTickFile(text) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            if (Array.isArray(data)) {
+                return this.normalizeTicks(data);
+            }
+
+            // ticks_history response
+            if (data.history) {
+                return this.normalizeTicks(data.history.prices.map((quote, i) => ({
+                    quote,
+                    epoch: data.history.times[i],
+                    symbol: data.echo_req?.ticks_history,
+                    pip_size: data.pip_size
+                })));
+            }
+
+            // Storage backup
+            return this.normalizeTicks(data.ticks || []);
+        }
+
+        const [headerLine, ...lines] = trimmed.split(/\r?\n/);
+        const headers = headerLine.split(',').map(h => h.replace(/"/g, '').trim().toLowerCase());
+        const rawTicks = lines
+            .filter(line => line.trim())
+            .map(line => {
+                const values = line.split(',').map(v => v.replace(/"/g, '').trim());
+                const row = {};
+                headers.forEach((header, i) => {
+                    row[header] = values[i];
+                });
+                return row;
+            });
+
+        return this.normalizeTicks(rawTicks);
+    },
+
+    /**
+     * Epoch range of a date range (dates as YYYY-MM-DD, inclusive, local time)
+     * @returns {{from: number, to: number}}
+     */
+    dateRange(startDate = null, endDate = null) {
+        return {
+            from: startDate ? new Date(`${startDate}T00:00:00`).getTime() / 1000 : -Infinity,
+            to: endDate ? new Date(`${endDate}T23:59:59`).getTime() / 1000 : Infinity
+        };
+    },
+
+    /**
+     * Filter ticks by symbol and date range (dates as YYYY-MM-DD, inclusive)
+     */
+    filterTicks(ticks, { symbol = null, startDate = null, endDate = null } = {}) {
+        const { from, to } = this.dateRange(startDate, endDate);
+
+        return ticks.filter(tick =>
+            (!symbol || tick.symbol === symbol) &&
+            tick.timestamp >= from &&
+            tick.timestamp <= to
+        );
+    }
+};
+
+// Export backtest
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backtest;
+}
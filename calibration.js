@@ -0,0 +1,242 @@
+// calibration.js - Per-model Confidence Calibration (isotonic regression or Platt scaling)
+
+const Calibration = {
+    // { [model]: { samples: [[rawConfidence, calibratedProbability, outcome]], sinceFit, fit } }
+    // Outcome is 1 when the model's raw prediction was right. Loaded from Storage on first use.
+    state: null,
+
+    load() {
+        if (!this.state) {
+            this.state = Storage.getItem('calibration') || {};
+        }
+        return this.state;
+    },
+
+    save() {
+        if (this.state) Storage.setItem('calibration', this.state);
+    },
+
+    getModel(model) {
+        const state = this.load();
+        if (!state[model]) {
+            state[model] = { samples: [], sinceFit: 0, fit: null };
+        }
+        return state[model];
+    },
+
+    /**
+     * Probability that a model's prediction is right, given its raw confidence
+     * (the raw confidence itself until a curve has been fitted)
+     */
+    calibrate(model, rawConfidence) {
+        if (!CONFIG.calibration.enabled) return rawConfidence;
+
+        const { fit } = this.getModel(model);
+        if (!fit || fit.method !== CONFIG.calibration.method) return rawConfidence;
+
+        return fit.method === 'platt'
+            ? this.evaluatePlatt(fit, rawConfidence)
+            : this.evaluateIsotonic(fit, rawConfidence);
+    },
+
+    /**
+     * Replace a model output's confidence with its calibrated probability. When the
+     * model is more likely wrong than right, its prediction is flipped.
+     */
+    apply(prediction) {
+        if (!prediction || !prediction.prediction) return prediction;
+
+        const rawConfidence = prediction.confidence;
+        const probability = this.calibrate(prediction.model, rawConfidence);
+
+        prediction.rawPrediction = prediction.prediction;
+        prediction.rawConfidence = rawConfidence;
+        prediction.calibratedProbability = probability;
+
+        if (probability < 0.5) {
+            prediction.prediction = prediction.prediction === 'EVEN' ? 'ODD' : 'EVEN';
+            prediction.confidence = 1 - probability;
+        } else {
+            prediction.confidence = probability;
+        }
+        return prediction;
+    },
+
+    /**
+     * Record a settled model vote; refits (and saves) every refitInterval samples
+     */
+    record(model, rawConfidence, calibratedProbability, correct) {
+        const { maxSamples, refitInterval, minSamples } = CONFIG.calibration;
+        const entry = this.getModel(model);
+
+        entry.samples.push([rawConfidence, calibratedProbability, correct ? 1 : 0]);
+        if (entry.samples.length > maxSamples) {
+            entry.samples.splice(0, entry.samples.length - maxSamples);
+        }
+
+        if (++entry.sinceFit >= refitInterval) {
+            entry.sinceFit = 0;
+            if (entry.samples.length >= minSamples) {
+                entry.fit = this.fit(entry.samples, CONFIG.calibration.method);
+            }
+            this.save();
+        }
+    },
+
+    /**
+     * Fit a reliability curve from [raw, calibrated, outcome] samples
+     */
+    fit(samples, method) {
+        const points = samples.map(([raw, , outcome]) => [raw, outcome]);
+        return method === 'platt' ? this.fitPlatt(points) : this.fitIsotonic(points);
+    },
+
+    /**
+     * Isotonic regression by pool-adjacent-violators; each block's rate gets a
+     * +1/+2 Laplace correction so no confidence maps to exactly 0 or 1
+     */
+    fitIsotonic(points) {
+        const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+        const blocks = [];
+
+        sorted.forEach(([x, y]) => {
+            blocks.push({ sumX: x, sumY: y, count: 1 });
+
+            // Merge backwards while the outcome rate decreases
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const previous = blocks[blocks.length - 2];
+                if (previous.sumY / previous.count < last.sumY / last.count) break;
+
+                previous.sumX += last.sumX;
+                previous.sumY += last.sumY;
+                previous.count += last.count;
+                blocks.pop();
+            }
+        });
+
+        return {
+            method: 'isotonic',
+            samples: points.length,
+            x: blocks.map(b => b.sumX / b.count),
+            y: blocks.map(b => (b.sumY + 1) / (b.count + 2))
+        };
+    },
+
+    /**
+     * Piecewise-linear lookup between isotonic block centres, flat beyond the ends
+     */
+    evaluateIsotonic(fit, value) {
+        const { x, y } = fit;
+        if (value <= x[0]) return y[0];
+        if (value >= x[x.length - 1]) return y[y.length - 1];
+
+        let i = 1;
+        while (x[i] < value) i++;
+        const t = (value - x[i - 1]) / (x[i] - x[i - 1]);
+        return y[i - 1] + t * (y[i] - y[i - 1]);
+    },
+
+    /**
+     * Platt scaling: p = sigmoid(a * raw + b), fitted by Newton's method on
+     * Platt's smoothed targets
+     */
+    fitPlatt(points) {
+        const positives = points.filter(p => p[1] === 1).length;
+        const negatives = points.length - positives;
+        const high = (positives + 1) / (positives + 2);
+        const low = 1 / (negatives + 2);
+
+        let a = 0;
+        let b = Math.log((positives + 1) / (negatives + 1));
+
+        for (let iteration = 0; iteration < 50; iteration++) {
+            let gA = 0, gB = 0, hAA = 0, hAB = 0, hBB = 0;
+
+            points.forEach(([x, y]) => {
+                const target = y === 1 ? high : low;
+                const p = 1 / (1 + Math.exp(-(a * x + b)));
+                const w = Math.max(p * (1 - p), 1e-12);
+                gA += (p - target) * x;
+                gB += p - target;
+                hAA += w * x * x;
+                hAB += w * x;
+                hBB += w;
+            });
+
+            // Small ridge term keeps the Hessian invertible when all raw values are equal
+            hAA += 1e-6;
+            hBB += 1e-6;
+            const det = hAA * hBB - hAB * hAB;
+            const stepA = (hBB * gA - hAB * gB) / det;
+            const stepB = (hAA * gB - hAB * gA) / det;
+            a -= stepA;
+            b -= stepB;
+
+            if (Math.abs(stepA) < 1e-9 && Math.abs(stepB) < 1e-9) break;
+        }
+
+        return { method: 'platt', samples: points.length, a, b };
+    },
+
+    evaluatePlatt(fit, value) {
+        return 1 / (1 + Math.exp(-(fit.a * value + fit.b)));
+    },
+
+    /**
+     * Brier score, log loss and reliability bins for one model, raw and calibrated.
+     * Calibrated values are those used at prediction time, so they are out-of-sample.
+     */
+    getMetrics(model) {
+        const entry = this.getModel(model);
+        const samples = entry.samples;
+        const bins = CONFIG.calibration.bins;
+        const clip = p => Math.min(1 - 1e-6, Math.max(1e-6, p));
+
+        let brierRaw = 0, brierCalibrated = 0, logLossRaw = 0, logLossCalibrated = 0;
+        const reliability = Array.from({ length: bins }, () => ({ sumPredicted: 0, sumObserved: 0, count: 0 }));
+
+        samples.forEach(([raw, calibrated, outcome]) => {
+            const rawProbability = Math.min(1, Math.max(0, raw));
+            brierRaw += (rawProbability - outcome) ** 2;
+            brierCalibrated += (calibrated - outcome) ** 2;
+            logLossRaw -= outcome * Math.log(clip(rawProbability)) + (1 - outcome) * Math.log(1 - clip(rawProbability));
+            logLossCalibrated -= outcome * Math.log(clip(calibrated)) + (1 - outcome) * Math.log(1 - clip(calibrated));
+
+            const bin = reliability[Math.min(bins - 1, Math.floor(calibrated * bins))];
+            bin.sumPredicted += calibrated;
+            bin.sumObserved += outcome;
+            bin.count++;
+        });
+
+        const n = samples.length;
+        return {
+            samples: n,
+            method: entry.fit?.method || null,
+            brierRaw: n > 0 ? brierRaw / n : null,
+            brierCalibrated: n > 0 ? brierCalibrated / n : null,
+            logLossRaw: n > 0 ? logLossRaw / n : null,
+            logLossCalibrated: n > 0 ? logLossCalibrated / n : null,
+            reliability: reliability
+                .filter(bin => bin.count > 0)
+                .map(bin => ({
+                    predicted: bin.sumPredicted / bin.count,
+                    observed: bin.sumObserved / bin.count,
+                    count: bin.count
+                }))
+        };
+    },
+
+    /**
+     * Forget all samples and fitted curves
+     */
+    reset() {
+        this.state = {};
+        this.save();
+    }
+};
+
+// Export calibration
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calibration;
+}
@@ -7,7 +7,8 @@ const CONFIG = {
         wsUrl: 'wss://ws.derivws.com/websockets/v3',
         reconnectAttempts: 5,
         reconnectDelay: 3000,
-        requestTimeout: 30000
+        requestTimeout: 30000,
+        backfillCount: 1000 // ticks requested from ticks_history on connect
     },
 
     // Trading Configuration
@@ -16,45 +17,45 @@ const CONFIG = {
         minStake: 1,
         maxStake: 1500,
         contractDuration: 1, // ticks
-        contractType: 'DIGITEVEN', // or 'DIGITODD'
+        contractFamily: 'evenOdd', // evenOdd, matchesDiffers, overUnder
+        barrier: 5, // digit for matches/differs and over/under
+        minExpectedReturn: 0.02, // matches/differs and over/under: expected return per unit staked to trade
         minConfidence: 60, // percentage
-        autoTrade: true,
+        minPayoutRatio: 1.8, // refuse proposals paying less than this per unit staked
+        defaultPayoutRatio: 1.95, // assumed until a proposal has been priced
+        autoTrade: false, // never restored: auto-trading is switched on again after every page load
         simulationMode: false,
 
-        // Martingale configuration (object form expected by script.js)
-        martingale: {
-            // Enable/disable martingale stake increases after losses
-            enabled: true,
-
-            // Multiplier applied for each loss level (must be > 1).
-            // Example: 2 means stake doubles after each loss (baseStake * 2^level).
-            // Use fractional multipliers like 1.5 for less aggressive recovery.
-            multiplier: 2.0,
-
-            // Optional: maximum martingale "levels" to apply (integer).
-            // If omitted, the code will compute a safe max based on maxStake.
-            // You may specify as a number or string; code uses parseInt().
-            maxLevels: 3
+        // Stake sizing (see staking.js); every stake is capped at maxStake
+        staking: {
+            // fixed, fixedFraction, martingale, paroli, dalembert, fibonacci, oscarsGrind, kelly
+            strategy: 'martingale',
+            fixedFraction: { fraction: 0.01 }, // of the account balance
+            martingale: { multiplier: 2.0, maxLevels: 3 }, // stake = baseStake * multiplier^losses
+            paroli: { multiplier: 2.0, maxWins: 3 }, // press wins, bank after maxWins in a row
+            dalembert: { unit: 1 }, // +unit base stakes per loss, -unit per win
+            fibonacci: { maxLevels: 10 }, // one step per loss, back two per win
+            oscarsGrind: { maxUnits: 10 }, // grind each cycle to one unit of profit
+            kelly: { fraction: 0.5, maxFraction: 0.05 } // half Kelly, at most 5% of the balance
         },
 
         // Backwards-compatibility fields (not used by the new logic, kept for reference)
-        // NOTE: The runtime now expects CONFIG.trading.martingale to be an object.
+        // NOTE: Staking parameters now live in CONFIG.trading.staking.
         martingaleFactor: 2.5,   // legacy field — kept for traceability
         initialStake: 1,    // legacy name mapping to baseStake
-        maxMartingaleSteps: 3, // legacy cap; use martingale.maxLevels instead
-
-        // adaptive staking
-        adaptiveStaking: false
+        maxMartingaleSteps: 3 // legacy cap; use staking.martingale.maxLevels instead
     },
 
     // Risk Management
     risk: {
-        maxDailyLoss: 50,
+        maxDailyLoss: 50, // per symbol
+        maxAccountDailyLoss: 150, // across all symbols
         maxConsecutiveLosses: 5,
         cooldownPeriod: 15, // seconds
+        // Session limits, as a percentage of session-start equity (0 disables)
         stopLossPercentage: 10,
         takeProfitPercentage: 20,
-        maxDrawdown: 30
+        maxDrawdown: 30 // from the session's peak equity
     },
 
     // Model Configuration
@@ -84,6 +85,22 @@ const CONFIG = {
             learningRate: 0.1,
             discountFactor: 0.95,
             explorationRate: 0.1
+        },
+        distribution: {
+            enabled: true,
+            weight: 1.0,
+            windows: [100, 500], // rolling windows of last digits, in ticks
+            significanceLevel: 0.01, // across all windows and tests (Bonferroni-corrected)
+            minTicks: 100
+        },
+        markov: {
+            enabled: true,
+            weight: 1.0,
+            // Context orders run from pattern.minPatternLength to pattern.maxPatternLength
+            smoothing: 1, // Laplace pseudo-count per outcome
+            minObservations: 5, // a context seen less often backs off to the next shorter one
+            maxContextsPerOrder: 2000,
+            saveInterval: 50 // ticks between saves
         }
     },
 
@@ -91,8 +108,50 @@ const CONFIG = {
     strategy: {
         type: 'moderate', // conservative, moderate, aggressive, custom
         weightMethod: 'performance', // equal, performance, confidence
-        votingThreshold: 0.6,
-        ensembleMethod: 'weighted' // voting, weighted, stacking
+        votingThreshold: 0.6, // share of voting models that must agree (voting ensemble)
+        ensembleMethod: 'weighted', // voting, weighted, stacking
+
+        // Stacking meta-learner (logistic regression over model outputs)
+        stacking: {
+            learningRate: 0.05,
+            regularization: 0.001,
+            minSamples: 50 // settled predictions before the meta-learner replaces weighted fusion
+        }
+    },
+
+    // Confidence calibration: maps each model's raw confidence to the observed
+    // probability that its prediction is right, before fusion
+    calibration: {
+        enabled: true,
+        method: 'isotonic', // isotonic, platt
+        minSamples: 100, // settled votes before a model's curve is fitted
+        maxSamples: 2000, // most recent settled votes kept per model
+        refitInterval: 25, // settled votes between refits
+        bins: 10 // reliability diagram bins
+    },
+
+    // Concept drift detection (Page-Hinkley) on model hit rates and parity flip rate
+    drift: {
+        enabled: true,
+        hitRate: { delta: 0.005, threshold: 50, minSamples: 30 }, // per model and symbol, on settled votes
+        flipRate: { period: 50, delta: 0.005, threshold: 3, minSamples: 10 }, // one sample per period ticks
+        action: 'reweight', // reweight, reset
+        weightPenalty: 0.25, // weight multiplier for a drifted model
+        recoveryVotes: 200, // settled votes before a drifted model's weight is restored
+        pauseAutoTrade: false // pause the symbol's auto-trading on drift
+    },
+
+    // Trading schedule: auto-trade windows, per-session budgets and breaks (0 = no limit).
+    // Daily loss counters reset at midnight in this timezone whether or not it is enabled.
+    schedule: {
+        enabled: false,
+        timezone: 'local', // 'local' or an IANA zone such as 'Europe/London'
+        windows: '', // e.g. 'Mon-Fri 08:00-20:00; Sat,Sun 10:00-14:00', empty = any time
+        maxTradesPerSession: 0,
+        sessionProfitTarget: 0,
+        sessionLossLimit: 0,
+        breakAfterTrades: 0,
+        breakMinutes: 15
     },
 
     // UI Configuration
@@ -108,7 +167,9 @@ const CONFIG = {
     // Storage Configuration
     storage: {
         prefix: 'deriv_bot_',
-        maxHistorySize: 1000,
+        maxHistorySize: 1000, // recent ticks/trades kept in memory (and in the localStorage fallback)
+        maxStoredRecords: 100000, // per store in IndexedDB
+        backend: 'indexedDB', // or 'localStorage'
         autoBackup: true,
         backupInterval: 3600000, // 1 hour in ms
         compressionEnabled: true
@@ -145,7 +206,7 @@ const STRATEGY_PRESETS = {
         minConfidence: 75,
         maxConsecutiveLosses: 3,
         cooldownPeriod: 10,
-        adaptiveStaking: false,
+        staking: 'fixed',
         models: {
             statistical: { weight: 1.5 },
             pattern: { weight: 1.0 },
@@ -156,7 +217,7 @@ const STRATEGY_PRESETS = {
         minConfidence: 60,
         maxConsecutiveLosses: 10,
         cooldownPeriod: 15,
-        adaptiveStaking: true,
+        staking: 'kelly',
         models: {
             statistical: { weight: 1.0 },
             pattern: { weight: 1.0 },
@@ -167,7 +228,7 @@ const STRATEGY_PRESETS = {
         minConfidence: 50,
         maxConsecutiveLosses: 7,
         cooldownPeriod: 2,
-        adaptiveStaking: true,
+        staking: 'martingale',
         models: {
             statistical: { weight: 0.8 },
             pattern: { weight: 1.2 },
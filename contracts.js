@@ -0,0 +1,152 @@
+// contracts.js - Deriv Digit Contract Families (even/odd, matches/differs, over/under)
+
+const Contracts = {
+    // Each side maps to a Deriv contract_type and wins(digit, barrier) on the exit digit
+    families: {
+        evenOdd: {
+            label: 'Even/Odd',
+            barrier: false,
+            sides: {
+                EVEN: { contractType: 'DIGITEVEN', wins: digit => digit % 2 === 0 },
+                ODD: { contractType: 'DIGITODD', wins: digit => digit % 2 === 1 }
+            }
+        },
+        matchesDiffers: {
+            label: 'Matches/Differs',
+            barrier: true,
+            sides: {
+                MATCH: { contractType: 'DIGITMATCH', wins: (digit, barrier) => digit === barrier },
+                DIFF: { contractType: 'DIGITDIFF', wins: (digit, barrier) => digit !== barrier }
+            }
+        },
+        overUnder: {
+            label: 'Over/Under',
+            barrier: true,
+            sides: {
+                OVER: { contractType: 'DIGITOVER', wins: (digit, barrier) => digit > barrier },
+                UNDER: { contractType: 'DIGITUNDER', wins: (digit, barrier) => digit < barrier }
+            }
+        }
+    },
+
+    getFamily(name) {
+        const family = this.families[name];
+        if (!family) {
+            throw new Error(`Unknown contract family: ${name}`);
+        }
+        return family;
+    },
+
+    /**
+     * Contract for one side of a family
+     * @returns {Object} { family, side, barrier, contractType, label }
+     */
+    create(familyName, side, barrier = null) {
+        const family = this.getFamily(familyName);
+        if (!family.sides[side]) {
+            throw new Error(`Unknown ${family.label} side: ${side}`);
+        }
+
+        const contractBarrier = family.barrier ? barrier : null;
+        return {
+            family: familyName,
+            side,
+            barrier: contractBarrier,
+            contractType: family.sides[side].contractType,
+            label: contractBarrier === null ? side : `${side} ${contractBarrier}`
+        };
+    },
+
+    /**
+     * Contract for a Deriv contract_type and barrier (null if not a digit contract)
+     */
+    fromContractType(contractType, barrier = null) {
+        for (const [name, family] of Object.entries(this.families)) {
+            const side = Object.keys(family.sides).find(s => family.sides[s].contractType === contractType);
+            if (side) {
+                return this.create(name, side, barrier === null || barrier === undefined ? null : Number(barrier));
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Whether the contract wins on an exit digit
+     */
+    wins(contract, digit) {
+        return this.getFamily(contract.family).sides[contract.side].wins(digit, contract.barrier);
+    },
+
+    winningDigits(contract) {
+        return [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].filter(digit => this.wins(contract, digit));
+    },
+
+    /**
+     * Win probability under a digit probability vector
+     */
+    probability(contract, digitProbabilities) {
+        return this.winningDigits(contract).reduce((sum, digit) => sum + digitProbabilities[digit], 0);
+    },
+
+    /**
+     * Proposal and buy parameters for the contract
+     */
+    buildParameters(contract) {
+        const params = { contract_type: contract.contractType };
+        if (contract.barrier !== null) {
+            params.barrier = String(contract.barrier);
+        }
+        return params;
+    },
+
+    /**
+     * Payout per unit staked expected before a proposal is priced. Digit contracts are
+     * priced off uniform digits with a similar margin, so the even/odd payout scales
+     * with 0.5 over the contract's win probability under uniform digits.
+     */
+    payoutRatioFor(contract, parityPayoutRatio = CONFIG.trading.defaultPayoutRatio) {
+        return parityPayoutRatio * 0.5 / (this.winningDigits(contract).length / 10);
+    },
+
+    /**
+     * Digit probabilities implied by a parity vote: uniform within each parity
+     */
+    fromParity(prediction, confidence) {
+        const evenProb = prediction === 'EVEN' ? confidence : 1 - confidence;
+        return Array.from({ length: 10 }, (_, digit) => (digit % 2 === 0 ? evenProb : 1 - evenProb) / 5);
+    },
+
+    /**
+     * A model output's digit probabilities: its own vector, else implied by its vote
+     * @returns {number[]|null}
+     */
+    toDigitProbabilities(modelPrediction) {
+        if (modelPrediction.digitProbabilities) return modelPrediction.digitProbabilities;
+        if (modelPrediction.prediction) {
+            return this.fromParity(modelPrediction.prediction, modelPrediction.confidence);
+        }
+        return null;
+    },
+
+    /**
+     * Side of a family with the best expected return under the digit probabilities.
+     * Sides that cannot win with this barrier (e.g. OVER 9) are skipped.
+     * @returns {Object} { contract, probability, payoutRatio, expectedReturn }
+     */
+    choose(familyName, barrier, digitProbabilities, parityPayoutRatio = CONFIG.trading.defaultPayoutRatio) {
+        return Object.keys(this.getFamily(familyName).sides)
+            .map(side => this.create(familyName, side, barrier))
+            .filter(contract => this.winningDigits(contract).length > 0)
+            .map(contract => {
+                const probability = this.probability(contract, digitProbabilities);
+                const payoutRatio = this.payoutRatioFor(contract, parityPayoutRatio);
+                return { contract, probability, payoutRatio, expectedReturn: probability * payoutRatio - 1 };
+            })
+            .sort((a, b) => b.expectedReturn - a.expectedReturn)[0];
+    }
+};
+
+// Export contracts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Contracts;
+}
@@ -0,0 +1,209 @@
+// drift-detector.js - Concept Drift Detection (Page-Hinkley) on model hit rates and parity flip rate
+
+/**
+ * Page-Hinkley test for a change in the mean of a stream
+ */
+class PageHinkley {
+    /**
+     * @param {string} direction - 'increase', 'decrease' or 'both'
+     */
+    constructor(direction = 'both') {
+        this.direction = direction;
+        this.reset();
+    }
+
+    reset() {
+        this.count = 0;
+        this.mean = 0;
+        this.sumUp = 0;
+        this.minUp = 0;
+        this.sumDown = 0;
+        this.minDown = 0;
+    }
+
+    /**
+     * Add a value; on drift the test restarts from the next value
+     * @param {Object} options - { delta, threshold, minSamples }
+     * @returns {string|null} 'increase' or 'decrease' when drift is detected
+     */
+    update(value, { delta, threshold, minSamples }) {
+        this.count++;
+        this.mean += (value - this.mean) / this.count;
+
+        // Cumulative deviations from the running mean, less the tolerated magnitude delta
+        this.sumUp += value - this.mean - delta;
+        this.minUp = Math.min(this.minUp, this.sumUp);
+        this.sumDown += this.mean - value - delta;
+        this.minDown = Math.min(this.minDown, this.sumDown);
+
+        if (this.count < minSamples) return null;
+
+        let change = null;
+        if (this.direction !== 'decrease' && this.sumUp - this.minUp > threshold) {
+            change = 'increase';
+        } else if (this.direction !== 'increase' && this.sumDown - this.minDown > threshold) {
+            change = 'decrease';
+        }
+
+        if (change) this.reset();
+        return change;
+    }
+}
+
+const DriftDetector = {
+    // Page-Hinkley tests by `${symbol}:${model}` (hit rate) and `${symbol}:flipRate`
+    detectors: {},
+
+    // Settled votes each drifted model keeps its reduced weight for, by `${symbol}:${model}`
+    penalties: {},
+
+    // Ticks seen per symbol; the flip rate is tested once per non-overlapping window
+    tickCounts: {},
+
+    // Recent drift events, oldest first
+    events: [],
+    maxEvents: 100,
+
+    key(symbol, name) {
+        return `${symbol || 'default'}:${name}`;
+    },
+
+    getDetector(key, direction) {
+        if (!this.detectors[key]) {
+            this.detectors[key] = new PageHinkley(direction);
+        }
+        return this.detectors[key];
+    },
+
+    /**
+     * Feed a tick: the model votes settled on it and the symbol's parity flip rate
+     * @param {Object} tick - the new tick
+     * @param {Object[]} ticks - the symbol's tick buffer, ending with tick
+     * @param {Object[]} settled - entries returned by Analysis.scorePendingPredictions
+     * @returns {Object[]} drift events detected on this tick
+     */
+    update(tick, ticks, settled = []) {
+        if (!CONFIG.drift.enabled) return [];
+
+        const symbol = tick.symbol || null;
+        const events = [];
+
+        // A model drifts when its hit rate drops
+        settled.forEach(entry => {
+            entry.votes.forEach(vote => {
+                const key = this.key(symbol, vote.model);
+                if (this.penalties[key] > 0) this.penalties[key]--;
+
+                const hit = vote.prediction === entry.actual ? 1 : 0;
+                const change = this.getDetector(key, 'decrease').update(hit, CONFIG.drift.hitRate);
+                if (change) {
+                    events.push(this.handleModelDrift(vote.model, symbol, tick));
+                }
+            });
+        });
+
+        // The market drifts when its parity flip rate moves either way
+        const { period } = CONFIG.drift.flipRate;
+        const symbolKey = symbol || 'default';
+        this.tickCounts[symbolKey] = (this.tickCounts[symbolKey] || 0) + 1;
+
+        if (this.tickCounts[symbolKey] % period === 0 && ticks.length >= period) {
+            const flipRate = Utils.calculateVolatility(ticks, period);
+            const change = this.getDetector(this.key(symbol, 'flipRate'), 'both')
+                .update(flipRate, CONFIG.drift.flipRate);
+            if (change) {
+                events.push(this.handleRegimeDrift(symbol, tick, change, flipRate));
+            }
+        }
+
+        events.forEach(event => Utils.log(event.message, 'warn', event));
+        this.addEvents(events);
+        return events;
+    },
+
+    /**
+     * Keep events for the tick chart (also those detected in the analysis worker)
+     */
+    addEvents(events) {
+        this.events.push(...events);
+        if (this.events.length > this.maxEvents) {
+            this.events.splice(0, this.events.length - this.maxEvents);
+        }
+    },
+
+    /**
+     * Reduce a drifted model's weight, or reset its learned state
+     */
+    handleModelDrift(model, symbol, tick) {
+        const action = CONFIG.drift.action;
+
+        if (action === 'reset') {
+            Analysis.resetModelState(model, symbol);
+        } else {
+            this.penalties[this.key(symbol, model)] = CONFIG.drift.recoveryVotes;
+        }
+
+        return {
+            type: 'model',
+            model,
+            symbol,
+            action,
+            timestamp: tick.timestamp,
+            message: `${symbol || 'Market'}: ${model} hit rate dropped, model ${action === 'reset' ? 'reset' : 're-weighted'}`
+        };
+    },
+
+    /**
+     * A flip-rate change invalidates what every model learned on the symbol;
+     * with the reset action their state is cleared
+     */
+    handleRegimeDrift(symbol, tick, change, flipRate) {
+        const action = CONFIG.drift.action;
+
+        if (action === 'reset') {
+            Analysis.getEnabledModels().forEach(model => Analysis.resetModelState(model, symbol));
+        }
+
+        return {
+            type: 'flipRate',
+            model: null,
+            symbol,
+            action,
+            change,
+            flipRate,
+            timestamp: tick.timestamp,
+            message: `${symbol || 'Market'}: parity flip rate ${change === 'increase' ? 'rose' : 'fell'} ` +
+                `to ${(flipRate * 100).toFixed(1)}%` + (action === 'reset' ? ', models reset' : '')
+        };
+    },
+
+    /**
+     * Weight multiplier for a model; drifted models are reduced until they recover
+     */
+    getWeightMultiplier(model, symbol = null) {
+        if (!CONFIG.drift.enabled) return 1;
+        return this.penalties[this.key(symbol, model)] > 0 ? CONFIG.drift.weightPenalty : 1;
+    },
+
+    /**
+     * Drift events recorded on a tick
+     */
+    getEventsAt(symbol, timestamp) {
+        return this.events.filter(e => e.symbol === symbol && e.timestamp === timestamp);
+    },
+
+    /**
+     * Forget all detector state, penalties and events
+     */
+    reset() {
+        this.detectors = {};
+        this.penalties = {};
+        this.tickCounts = {};
+        this.events = [];
+    }
+};
+
+// Export drift detector
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DriftDetector;
+}
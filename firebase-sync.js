@@ -127,13 +127,9 @@ class FirebaseSync {
 
         try {
             const data = {
-                ticks: Storage.getTicks(),
-                trades: Storage.getTrades(),
-                performance: Storage.getPerformance(),
-                models: Storage.getModels(),
-                settings: Storage.getSettings(),
+                ...this.packData(Storage.getSnapshot()),
                 lastSync: Date.now(),
-                version: '1.0.0'
+                version: Storage.SCHEMA_VERSION
             };
 
             await this.userRef.set(data);
@@ -160,13 +156,22 @@ class FirebaseSync {
 
         try {
             const snapshot = await this.userRef.once('value');
-            const data = snapshot.val();
+            const remote = this.unpackData(snapshot.val());
 
-            if (!data) {
+            if (!remote) {
                 console.log('ℹ️ No data in Firebase, will use local');
                 return false;
             }
 
+            let data;
+            try {
+                data = Storage.upgradeSnapshot(remote);
+            } catch (error) {
+                console.error('❌ Incompatible Firebase data:', error);
+                Utils.notify('Firebase Error', `Cannot use Firebase data: ${error.message}`, 'error');
+                return false;
+            }
+
             // Ask user before overwriting local data
             if (Storage.getTrades().length > 0) {
                 const confirmed = await this.confirmOverwrite(data);
@@ -174,11 +179,7 @@ class FirebaseSync {
             }
 
             // Restore data
-            if (data.ticks) Storage.setItem('ticks', data.ticks);
-            if (data.trades) Storage.setItem('trades', data.trades);
-            if (data.performance) Storage.setItem('performance', data.performance);
-            if (data.models) Storage.setItem('models', data.models);
-            if (data.settings) Storage.setItem('settings', data.settings);
+            Storage.applySnapshot(data);
 
             this.lastSyncTime = Date.now();
             Utils.notify('Firebase Sync', 'Data pulled successfully', 'success');
@@ -186,6 +187,7 @@ class FirebaseSync {
             
             // Refresh UI
             if (typeof bot !== 'undefined') {
+                bot.loadSavedSettings();
                 bot.updateUI();
             }
             
@@ -205,7 +207,7 @@ class FirebaseSync {
         
         try {
             const trades = Storage.getTrades();
-            await this.userRef.child('trades').set(trades);
+            await this.userRef.child('trades').set(this.packField(trades));
             await this.userRef.child('lastSync').set(Date.now());
             console.log('✅ Trades synced');
             return true;
@@ -286,6 +288,37 @@ class FirebaseSync {
         }
     }
 
+    /**
+     * Compress each data field for upload when storage compression is enabled
+     */
+    packData(data) {
+        const packed = {};
+        Object.entries(data).forEach(([key, value]) => {
+            packed[key] = this.packField(value);
+        });
+        return packed;
+    }
+
+    packField(value) {
+        if (!CONFIG.storage.compressionEnabled) return value;
+        return { encoding: 'LZ1', payload: Utils.compressData(value) };
+    }
+
+    /**
+     * Decode fields written by packData; plain (older) fields pass through unchanged
+     */
+    unpackData(data) {
+        if (!data) return data;
+
+        const unpacked = {};
+        Object.entries(data).forEach(([key, value]) => {
+            unpacked[key] = value && typeof value.payload === 'string' && value.encoding
+                ? Utils.decompressData(value.payload)
+                : value;
+        });
+        return unpacked;
+    }
+
     /**
      * Confirm overwrite dialog
      */
@@ -368,12 +401,14 @@ async smartMerge() {
     
     try {
         const snapshot = await this.userRef.once('value');
-        const remote = snapshot.val();
+        const data = this.unpackData(snapshot.val());
         
-        if (!remote) {
+        if (!data) {
             await this.pushData();
             return true;
         }
+
+        const remote = Storage.upgradeSnapshot(data);
         
         const local = {
             trades: Storage.getTrades(),
@@ -385,8 +420,9 @@ async smartMerge() {
         const mergedPerformance = this.mergePerformance(local.performance, remote.performance);
         
         // Save merged data
-        Storage.setItem('trades', mergedTrades);
+        Storage.mergeRecords('trades', mergedTrades);
         Storage.setItem('performance', mergedPerformance);
+        Storage.rebuildPerformanceStats();
         
         // Push merged data back
         await this.pushData();
@@ -441,13 +477,8 @@ mergePerformance(local, remote) {
         try {
             const backup = {
                 timestamp: Date.now(),
-                data: {
-                    ticks: Storage.getTicks(),
-                    trades: Storage.getTrades(),
-                    performance: Storage.getPerformance(),
-                    models: Storage.getModels(),
-                    settings: Storage.getSettings()
-                }
+                version: Storage.SCHEMA_VERSION,
+                data: this.packData(Storage.getSnapshot())
             };
 
             const backupRef = this.db.ref(`backups/${this.userId}/${backup.timestamp}`);
@@ -502,10 +533,13 @@ mergePerformance(local, remote) {
             }
 
             // Restore data
-            Storage.restoreData(backup.data);
+            if (!Storage.restoreData({ version: backup.version, ...this.unpackData(backup.data) })) {
+                return false;
+            }
             Utils.notify('Restore Complete', 'Data restored from backup', 'success');
             
             if (typeof bot !== 'undefined') {
+                bot.loadSavedSettings();
                 bot.updateUI();
             }
             
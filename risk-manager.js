@@ -0,0 +1,137 @@
+// risk-manager.js - Session Risk Limits (stop-loss, take-profit, max drawdown)
+
+const RiskManager = {
+    // Current trading session; null until start() is called
+    session: null,
+
+    /**
+     * Start a session measured against the given starting equity
+     */
+    start(startEquity) {
+        this.session = {
+            startEquity,
+            startedAt: Date.now(),
+            pnl: 0,
+            peakPnL: 0,
+            drawdown: 0,
+            halted: false,
+            haltReason: null
+        };
+        Utils.log('Risk session started', 'info', { startEquity });
+    },
+
+    /**
+     * Recompute session P&L and drawdown from the live trades stored since the session
+     * started; simulated trades never touch the account's equity
+     * @returns {Promise<Object|null>} the limit that halted the session on this update, or null
+     */
+    async update() {
+        if (!this.session) return null;
+
+        const session = this.session;
+        const trades = await Storage.queryTrades({ from: session.startedAt });
+        if (session !== this.session) return null;
+
+        let pnl = 0;
+        let peakPnL = 0;
+        let drawdown = 0;
+        trades.filter(trade => !trade.simulated).forEach(trade => {
+            pnl += trade.profit;
+            peakPnL = Math.max(peakPnL, pnl);
+            drawdown = Math.max(drawdown, peakPnL - pnl);
+        });
+
+        session.pnl = pnl;
+        session.peakPnL = peakPnL;
+        session.drawdown = drawdown;
+
+        if (session.halted) return null;
+
+        const violation = this.evaluate();
+        if (violation) {
+            session.halted = true;
+            session.haltReason = violation;
+            Utils.log(`Session halted: ${violation.message}`, 'warn', this.getStatus());
+        }
+        return violation;
+    },
+
+    /**
+     * Check the session against CONFIG.risk limits
+     */
+    evaluate() {
+        const status = this.getStatus();
+        if (!status || this.session.startEquity <= 0) return null;
+
+        const { stopLossPercentage, takeProfitPercentage, maxDrawdown } = CONFIG.risk;
+
+        if (stopLossPercentage > 0 && status.pnlPercentage <= -stopLossPercentage) {
+            return {
+                title: 'Stop-Loss Reached',
+                message: `Session loss of ${Utils.formatCurrency(-status.pnl)} (${(-status.pnlPercentage).toFixed(2)}%) ` +
+                    `reached the ${stopLossPercentage}% stop-loss. Auto-trading halted.`
+            };
+        }
+
+        if (takeProfitPercentage > 0 && status.pnlPercentage >= takeProfitPercentage) {
+            return {
+                title: 'Take-Profit Reached',
+                message: `Session profit of ${Utils.formatCurrency(status.pnl)} (${status.pnlPercentage.toFixed(2)}%) ` +
+                    `reached the ${takeProfitPercentage}% take-profit. Auto-trading halted.`
+            };
+        }
+
+        if (maxDrawdown > 0 && status.drawdownPercentage >= maxDrawdown) {
+            return {
+                title: 'Max Drawdown Reached',
+                message: `Drawdown of ${Utils.formatCurrency(status.drawdown)} (${status.drawdownPercentage.toFixed(2)}%) ` +
+                    `from the session peak reached the ${maxDrawdown}% limit. Auto-trading halted.`
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Session P&L and drawdown, absolute and as percentages of equity
+     */
+    getStatus() {
+        if (!this.session) return null;
+
+        const { startEquity, pnl, peakPnL, drawdown, halted, haltReason } = this.session;
+        const peakEquity = startEquity + peakPnL;
+
+        return {
+            startEquity,
+            pnl,
+            pnlPercentage: startEquity > 0 ? (pnl / startEquity) * 100 : 0,
+            drawdown,
+            drawdownPercentage: peakEquity > 0 ? (drawdown / peakEquity) * 100 : 0,
+            halted,
+            haltReason
+        };
+    },
+
+    /**
+     * Whether a limit has halted trading for this session
+     */
+    isHalted() {
+        return Boolean(this.session?.halted);
+    },
+
+    /**
+     * Explicitly resume: start a fresh session from the current equity
+     */
+    reset() {
+        if (!this.session) return;
+
+        const equity = this.session.startEquity + this.session.pnl;
+        this.start(equity);
+        Utils.log('Risk session reset by user', 'info');
+    }
+};
+
+// Export risk manager
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RiskManager;
+}
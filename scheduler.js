@@ -0,0 +1,268 @@
+// scheduler.js - Trading Schedule (time windows, session budgets, breaks and the daily reset)
+
+const Scheduler = {
+    dayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    // Persisted under 'schedule': { day, session: { key, trades, pnl, sinceBreak, startedAt }, breakUntil }
+    state: null,
+
+    // Intl formatters by timezone, and the last parsed window spec
+    formatters: {},
+    parsed: { spec: null, windows: null },
+
+    load() {
+        this.state = { day: null, session: null, breakUntil: 0, ...(Storage.getItem('schedule') || {}) };
+        return this.state;
+    },
+
+    save() {
+        Storage.setItem('schedule', this.state);
+    },
+
+    /**
+     * IANA timezone the schedule runs in ('local' is the browser's)
+     */
+    getTimeZone() {
+        const zone = CONFIG.schedule.timezone;
+        return !zone || zone === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : zone;
+    },
+
+    getFormatter(timeZone) {
+        if (!this.formatters[timeZone]) {
+            try {
+                this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    weekday: 'short',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: '2-digit'
+                });
+            } catch (e) {
+                Utils.log(`Unknown timezone ${timeZone}, scheduling in local time`, 'warn');
+                this.formatters[timeZone] = this.getFormatter(Intl.DateTimeFormat().resolvedOptions().timeZone);
+            }
+        }
+        return this.formatters[timeZone];
+    },
+
+    /**
+     * Wall-clock time in the schedule's timezone
+     * @returns {Object} { date (YYYY-MM-DD), weekday (0 = Sunday), minutes since midnight, dayStart (ms) }
+     */
+    getLocalTime(now = Date.now()) {
+        const parts = {};
+        this.getFormatter(this.getTimeZone()).formatToParts(new Date(now)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        const seconds = (Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second);
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: this.dayNames.indexOf(parts.weekday),
+            minutes: Math.floor(seconds / 60),
+            dayStart: now - seconds * 1000 - (now % 1000)
+        };
+    },
+
+    /**
+     * Parse a window spec such as 'Mon-Fri 08:00-20:00; Sat,Sun 10:00-14:00'. A window
+     * that ends at or before its start runs past midnight. An empty spec means any time.
+     * @returns {Object[]} [{ days (weekday numbers), start, end (minutes since midnight) }]
+     * @throws {Error} on a malformed spec
+     */
+    parseWindows(spec) {
+        return (spec || '').split(';')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const match = entry.match(/^(\S+)\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+                if (!match) {
+                    throw new Error(`Invalid trading window: ${entry}`);
+                }
+
+                const [, daysText, startHour, startMinute, endHour, endMinute] = match.map(Number);
+                const start = startHour * 60 + startMinute;
+                const end = endHour * 60 + endMinute;
+                if (start > 1440 || end > 1440 || startMinute > 59 || endMinute > 59) {
+                    throw new Error(`Invalid time in trading window: ${entry}`);
+                }
+                return { days: this.parseDays(match[1]), start, end };
+            });
+    },
+
+    /**
+     * 'Daily', or days and day ranges such as 'Mon-Fri,Sun' (ranges may wrap, e.g. 'Fri-Mon')
+     */
+    parseDays(text) {
+        if (text.toLowerCase() === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+
+        const days = new Set();
+        text.split(',').forEach(part => {
+            const [from, to = from] = part.split('-').map(name => this.dayIndex(name));
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) break;
+            }
+        });
+        return [...days];
+    },
+
+    dayIndex(name) {
+        const index = this.dayNames.findIndex(day => day.toLowerCase() === name.toLowerCase());
+        if (index < 0) {
+            throw new Error(`Unknown day: ${name}`);
+        }
+        return index;
+    },
+
+    /**
+     * The configured windows, or null if the spec cannot be parsed
+     */
+    getWindows() {
+        const spec = CONFIG.schedule.windows;
+        if (this.parsed.spec !== spec) {
+            let windows = null;
+            try {
+                windows = this.parseWindows(spec);
+            } catch (e) {
+                Utils.log('Trading windows ignored', 'error', e);
+            }
+            this.parsed = { spec, windows };
+        }
+        return this.parsed.windows;
+    },
+
+    /**
+     * The window open at a local time
+     * @returns {Object|null} { index, key } where key names the session (window and opening date)
+     */
+    findWindow(local, windows) {
+        const yesterday = (local.weekday + 6) % 7;
+
+        for (const [index, window] of windows.entries()) {
+            const overnight = window.end <= window.start;
+
+            if (window.days.includes(local.weekday) && local.minutes >= window.start &&
+                (overnight || local.minutes < window.end)) {
+                return { index, key: `${local.date}#${index}` };
+            }
+
+            // The part after midnight of an overnight window belongs to the day it opened
+            if (overnight && window.days.includes(yesterday) && local.minutes < window.end) {
+                const opened = new Date(Date.parse(`${local.date}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+                return { index, key: `${opened}#${index}` };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Roll the day and the session over, then decide whether auto-trading may run.
+     * The date is persisted, so a day that ends while the page is asleep or closed
+     * is still noticed on the next check.
+     * @returns {Object} { canTrade, reason, dayChanged, dayStart, session }
+     */
+    evaluate(now = Date.now()) {
+        if (!this.state) this.load();
+
+        const local = this.getLocalTime(now);
+        const status = { canTrade: true, reason: null, dayChanged: false, dayStart: local.dayStart, session: null };
+
+        if (this.state.day !== local.date) {
+            status.dayChanged = this.state.day !== null;
+            this.state.day = local.date;
+            this.save();
+        }
+
+        if (!CONFIG.schedule.enabled) return status;
+
+        const windows = this.getWindows();
+        if (!windows) {
+            return { ...status, canTrade: false, reason: 'Trading windows are invalid' };
+        }
+
+        // Without windows every day is one session
+        let key = local.date;
+        if (windows.length > 0) {
+            const open = this.findWindow(local, windows);
+            if (!open) {
+                return { ...status, canTrade: false, reason: 'Outside trading windows' };
+            }
+            key = open.key;
+        }
+
+        if (this.state.session?.key !== key) {
+            this.state.session = { key, trades: 0, pnl: 0, sinceBreak: 0, startedAt: now };
+            this.state.breakUntil = 0;
+            this.save();
+        }
+
+        const session = this.state.session;
+        const { maxTradesPerSession, sessionProfitTarget, sessionLossLimit } = CONFIG.schedule;
+        let reason = null;
+
+        if (maxTradesPerSession > 0 && session.trades >= maxTradesPerSession) {
+            reason = `Session budget of ${maxTradesPerSession} trade${maxTradesPerSession === 1 ? '' : 's'} used`;
+        } else if (sessionProfitTarget > 0 && session.pnl >= sessionProfitTarget) {
+            reason = `Session profit target of ${Utils.formatCurrency(sessionProfitTarget)} reached`;
+        } else if (sessionLossLimit > 0 && -session.pnl >= sessionLossLimit) {
+            reason = `Session loss limit of ${Utils.formatCurrency(sessionLossLimit)} reached`;
+        } else if (this.state.breakUntil > now) {
+            reason = `On a break until ${this.formatTime(this.state.breakUntil)}`;
+        }
+
+        return { ...status, canTrade: !reason, reason, session };
+    },
+
+    /**
+     * Count a bought order against the current session, so the budget holds while
+     * contracts are still open; every breakAfterTrades trades starts an enforced break
+     */
+    recordOrder(now = Date.now()) {
+        if (!this.state) this.load();
+
+        const session = this.state.session;
+        if (!CONFIG.schedule.enabled || !session) return;
+
+        session.trades++;
+        session.sinceBreak++;
+
+        const { breakAfterTrades, breakMinutes } = CONFIG.schedule;
+        if (breakAfterTrades > 0 && session.sinceBreak >= breakAfterTrades) {
+            session.sinceBreak = 0;
+            this.state.breakUntil = now + breakMinutes * 60000;
+            Utils.log(`Taking a ${breakMinutes} minute break after ${breakAfterTrades} trades`, 'info');
+        }
+        this.save();
+    },
+
+    /**
+     * Add a settled trade's profit to the current session
+     */
+    recordResult(profit) {
+        if (!this.state) this.load();
+
+        const session = this.state.session;
+        if (!CONFIG.schedule.enabled || !session) return;
+
+        session.pnl += profit;
+        this.save();
+    },
+
+    /**
+     * Hours and minutes of a timestamp in the schedule's timezone
+     */
+    formatTime(timestamp) {
+        const { minutes } = this.getLocalTime(timestamp);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+};
+
+// Export scheduler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scheduler;
+}
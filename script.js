@@ -5,13 +5,12 @@ class DerivBot {
     this.ws = null;
     this.isConnected = false;
     this.isTrading = false;
-    this.currentSymbol = null;
+    this.currentSymbol = null; // symbol shown on the dashboard
+    this.symbols = []; // every symbol being streamed
+    this.sessions = new Map(); // symbol -> tick buffer, risk counters, last prediction
     this.authToken = null;
-    this.tickBuffer = [];
+    this.account = null; // loginid, currency, balance, sessionStartBalance
     this.tradeQueue = [];
-    this.lastTradeTime = 0;
-    this.consecutiveLosses = 0;
-    this.dailyLoss = 0;
     this.emergencyStop = false;
     this.charts = {};
     
@@ -25,10 +24,16 @@ class DerivBot {
     this.shouldReconnect = true;
     this.lastAppId = null;
     this.pingInterval = null;
-    this.pongTimeout = null;
     this.connectionHealth = 100;
     this.missedPongs = 0;
     this.maxMissedPongs = 3;
+
+    // Request/response correlation
+    this.nextReqId = 1;
+    this.pendingRequests = new Map(); // req_id -> { resolve, reject, timer, request }
+    this.openContracts = new Map(Storage.getItem('openContracts') || []); // contract_id -> prediction/stake that opened it, kept across reloads
+    this.settledContracts = new Set();
+    this.scheduleStatus = null; // last Scheduler.evaluate result
     
     this.init();  
   }  
@@ -40,8 +45,16 @@ class DerivBot {
     Utils.log('Deriv Bot initializing...', 'info');  
     this.setupEventListeners();  
     this.setupCharts();  
+    AnalysisClient.init();
     this.loadSavedSettings();  
     this.updateUI();  
+    Storage.ready
+      .then(() => this.restoreDailyLoss())
+      .catch(e => Utils.log('Failed to restore daily loss', 'error', e))
+      .then(() => {
+        this.checkSchedule();
+        this.updateUI();
+      });
     Utils.requestNotificationPermission();  
     Utils.log('Deriv Bot ready', 'info');  
   }  
@@ -65,49 +78,11 @@ class DerivBot {
     // Notifications toggle  
     document.getElementById('notificationsToggle').addEventListener('click', () => this.toggleNotifications());  
 
-    // Trade controls  
-    document.getElementById('autoTrade').addEventListener('change', (e) => {  
-      CONFIG.trading.autoTrade = e.target.checked;  
-      this.updateUI();  
-    });  
-
-    document.getElementById('simulationMode').addEventListener('change', (e) => {  
-      CONFIG.trading.simulationMode = e.target.checked;  
-      this.updateUI();  
-    });  
-
-    document.getElementById('adaptiveStaking').addEventListener('change', (e) => {  
-      CONFIG.trading.adaptiveStaking = e.target.checked;  
-    });  
+    // Settings bound to form controls (trade controls, model toggles, risk and strategy settings)
+    SettingsManager.bind((path, value) => this.handleSettingChange(path, value));
 
     document.getElementById('manualTrade').addEventListener('click', () => this.executeManualTrade());  
 
-    // Confidence slider  
-    const confidenceSlider = document.getElementById('minConfidence');  
-    confidenceSlider.addEventListener('input', (e) => {  
-      CONFIG.trading.minConfidence = parseInt(e.target.value);  
-      document.getElementById('minConfidenceValue').textContent = `${e.target.value}%`;  
-    });  
-
-    // Base stake input  
-    document.getElementById('baseStake').addEventListener('change', (e) => {  
-      const stake = parseFloat(e.target.value);  
-      if (Utils.validateStake(stake)) {  
-        CONFIG.trading.baseStake = stake;  
-      }  
-    });  
-
-    // Model toggles  
-    ['statistical', 'pattern', 'ruleBased', 'RL'].forEach(model => {  
-      const checkbox = document.getElementById(`model${model.charAt(0).toUpperCase() + model.slice(1)}`);  
-      if (checkbox) {  
-        checkbox.addEventListener('change', (e) => {  
-          const modelKey = model === 'RL' ? 'reinforcementLearning' : model;  
-          CONFIG.models[modelKey].enabled = e.target.checked;  
-        });  
-      }  
-    });  
-
     // History controls  
     document.getElementById('exportCSV')?.addEventListener('click', () => this.exportHistory('csv'));  
     document.getElementById('clearHistory')?.addEventListener('click', () => this.clearHistory());  
@@ -115,15 +90,30 @@ class DerivBot {
     // Settings controls  
     document.getElementById('backupData')?.addEventListener('click', () => Storage.backupData());  
     document.getElementById('resetAll')?.addEventListener('click', () => this.resetAll());  
+    document.getElementById('resetSessionLimits')?.addEventListener('click', () => this.resetSessionLimits());
+
+    // Setting profiles
+    document.getElementById('saveProfile')?.addEventListener('click', () => this.saveSettingsProfile());
+    document.getElementById('loadProfile')?.addEventListener('click', () => this.loadSettingsProfile());
+    document.getElementById('exportProfile')?.addEventListener('click', () => this.exportSettingsProfile());
+    document.getElementById('deleteProfile')?.addEventListener('click', () => this.deleteSettingsProfile());
+    document.getElementById('importProfile')?.addEventListener('click', () => document.getElementById('profileFile').click());
+    document.getElementById('profileFile')?.addEventListener('change', (e) => this.importSettingsProfile(e.target));
+
+    // Backtest controls
+    document.getElementById('backtestSource')?.addEventListener('change', (e) => {
+      document.getElementById('backtestFile').disabled = e.target.value !== 'file';
+      this.populateBacktestSymbols();
+    });
+    document.getElementById('backtestFile')?.addEventListener('change', () => this.populateBacktestSymbols());
+    document.getElementById('runBacktest')?.addEventListener('click', () => this.runBacktest());
 
     // Filter controls  
     document.getElementById('filterType')?.addEventListener('change', () => this.updateHistoryTable());  
     document.getElementById('filterDate')?.addEventListener('change', () => this.updateHistoryTable());  
-
-    // Strategy selector  
-    document.getElementById('strategyType')?.addEventListener('change', (e) => {  
-      this.applyStrategyPreset(e.target.value);  
-    });  
+    ['journalState', 'journalSymbol', 'journalDate'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.updateJournalTable());
+    });
 
     // Modal controls  
     document.querySelector('.modal-close')?.addEventListener('click', () => this.hideModal());  
@@ -137,7 +127,7 @@ class DerivBot {
   async connect() {  
     const appId = document.getElementById('appId').value.trim();  
     const token = document.getElementById('apiToken').value.trim();  
-    const symbol = document.getElementById('symbol').value;  
+    const symbols = Array.from(document.getElementById('symbol').selectedOptions, option => option.value);  
 
     if (!appId) {  
       this.showModal('error', 'Validation Error', 'Please enter App ID');  
@@ -149,10 +139,21 @@ class DerivBot {
       return;  
     }  
 
+    if (symbols.length === 0) {
+      this.showModal('error', 'Validation Error', 'Please select at least one symbol');
+      return;
+    }
+
     // Store credentials for reconnection
     this.lastAppId = appId;
     this.authToken = token;
-    this.currentSymbol = symbol;
+    this.account = null; // a new session records a new starting balance
+    this.symbols = symbols;
+    this.symbols.forEach(symbol => this.getSession(symbol));
+    if (!symbols.includes(this.currentSymbol)) {
+      this.currentSymbol = symbols[0];
+    }
+    this.renderSymbolTabs();
     this.shouldReconnect = true;
     
     this.establishConnection();
@@ -228,7 +229,7 @@ class DerivBot {
     this.startHeartbeat();
     
     // Authorize
-    this.authorize(this.authToken, this.currentSymbol);
+    this.authorize(this.authToken);
     
     Utils.log('Connection established successfully', 'info');
   }
@@ -254,6 +255,7 @@ class DerivBot {
   handleConnectionClose(event) {
     this.isReconnecting = false;
     this.stopHeartbeat();
+    this.rejectPendingRequests('Connection closed before a response arrived');
     
     // Don't reconnect if it was a clean close or emergency stop
     if (event.wasClean || !this.shouldReconnect || this.emergencyStop) {
@@ -346,22 +348,21 @@ class DerivBot {
       clearInterval(this.pingInterval);
       this.pingInterval = null;
     }
-    
-    if (this.pongTimeout) {
-      clearTimeout(this.pongTimeout);
-      this.pongTimeout = null;
-    }
   }
 
   /**
    * Send ping to server
    */
   sendPing() {
-    try {
-      this.sendMessage({ ping: 1 });
-      
-      // Set timeout for pong response
-      this.pongTimeout = setTimeout(() => {
+    // Wait 10 seconds for pong
+    this.sendRequest({ ping: 1 }, { timeout: 10000 })
+      .then(() => this.handlePong())
+      .catch((error) => {
+        if (error.code !== 'RequestTimeout') {
+          Utils.log('Failed to send ping', 'error', error);
+          return;
+        }
+
         this.missedPongs++;
         this.connectionHealth = Math.max(0, this.connectionHealth - 15);
         
@@ -371,22 +372,13 @@ class DerivBot {
           Utils.log('Connection appears unhealthy, forcing reconnection', 'error');
           this.forceReconnect('Too many missed pong responses');
         }
-      }, 10000); // Wait 10 seconds for pong
-      
-    } catch (error) {
-      Utils.log('Failed to send ping', 'error', error);
-    }
+      });
   }
 
   /**
    * Handle pong response
    */
   handlePong() {
-    if (this.pongTimeout) {
-      clearTimeout(this.pongTimeout);
-      this.pongTimeout = null;
-    }
-    
     this.missedPongs = 0;
     this.connectionHealth = Math.min(100, this.connectionHealth + 5);
     
@@ -411,6 +403,7 @@ class DerivBot {
    */
   cleanupConnection() {
     this.stopHeartbeat();
+    this.rejectPendingRequests('Connection closed before a response arrived');
     
     if (this.ws) {
       try {
@@ -452,13 +445,26 @@ class DerivBot {
   /**  
    * Authorize with API token  
    */  
-  authorize(token, symbol) {  
+  async authorize(token) {  
     this.authToken = token;  
-    this.currentSymbol = symbol;  
-      
-    this.sendMessage({  
-      authorize: token  
-    });  
+
+    let response;
+    try {
+      response = await this.sendRequest({ authorize: token });
+    } catch (error) {
+      this.hideLoading();
+      this.handleRequestFailure('Authorization failed', error);
+      return;
+    }
+
+    // Authorized; a failure from here on is in the session setup
+    try {
+      this.handleAuthorize(response);
+    } catch (error) {
+      this.hideLoading();
+      Utils.log('Session setup after authorization failed', 'error', error);
+      this.showModal('error', 'Setup Failed', `Authorized, but setting up the session failed: ${error.message}`);
+    }
   }  
 
   /**  
@@ -469,24 +475,38 @@ class DerivBot {
       const data = JSON.parse(msg.data);  
       Utils.log('Received message', 'debug', data);  
 
+      // Settle the request this message answers
+      const pending = data.req_id !== undefined ? this.pendingRequests.get(data.req_id) : null;
+      if (pending) {
+        this.pendingRequests.delete(data.req_id);
+        clearTimeout(pending.timer);
+
+        if (data.error) {
+          pending.reject(this.createApiError(data.error.code, data.error.message, data));
+          return;
+        }
+
+        pending.resolve(data);
+
+        // Only subscription streams continue to the msg_type handlers
+        if (!data.subscription) return;
+      }
+
       if (data.error) {  
         this.handleError(data.error);  
         return;  
       }  
 
       switch(data.msg_type) {  
-        case 'authorize':  
-          this.handleAuthorize(data);  
-          break;  
         case 'tick':  
           this.handleTick(data.tick);  
           break;  
-        case 'buy':  
-          this.handleBuyResponse(data);  
-          break;  
         case 'proposal_open_contract':  
           this.handleContractUpdate(data);  
           break;
+        case 'balance':
+          this.handleBalance(data.balance);
+          break;
         case 'ping':
           this.handlePong();
           break;
@@ -508,12 +528,34 @@ class DerivBot {
     Utils.log('Authorized successfully', 'info', data.authorize);  
     Utils.notify('Connected', 'Successfully connected to Deriv', 'success');  
 
+    // Track the account; the starting balance survives reconnects  
+    const { loginid, currency, balance } = data.authorize;
+    const isNewSession = !this.account;
+    this.account = {
+      loginid,
+      currency,
+      balance: parseFloat(balance),
+      sessionStartBalance: this.account?.sessionStartBalance ?? parseFloat(balance)
+    };
+    Utils.setCurrency(currency);
+    if (isNewSession) {
+      RiskManager.start(this.account.sessionStartBalance);
+      this.updateRiskStatus();
+    }
+    this.updateBalanceDisplay();
+    this.updateStatsDisplay();
+    this.updateHistoryTable();
+    this.subscribeBalance();
+    this.reconcileContracts();
+
     // Update UI  
     this.updateConnectionStatus('Connected');
     document.getElementById('connectBtn').disabled = true;  
 
-    // Subscribe to ticks  
-    this.subscribeTicks(this.currentSymbol);
+    // Fill the lookback (or the gap left by a reconnect), then go live  
+    this.symbols.forEach(symbol => {
+      this.backfillTicks(symbol).then(() => this.subscribeTicks(symbol));
+    });
     
     // Notify successful reconnection if this was a reconnect
     if (this.reconnectAttempts > 0) {
@@ -522,48 +564,453 @@ class DerivBot {
     }
   }  
 
+  /**
+   * Backfill ticks from ticks_history
+   *
+   * Requests the gap since the last stored epoch for the symbol, paging back
+   * CONFIG.api.backfillCount ticks at a time, or the last backfillCount ticks when
+   * nothing is stored yet, and merges the result into Storage and the symbol's
+   * tick buffer. A gap longer than the buffer (or one the requests fail to fill)
+   * is left as a hole, and the buffer restarts after it so the models never read
+   * across it.
+   */
+  async backfillTicks(symbol) {
+    const stored = (await Storage.queryTicks({ symbol, reverse: true, limit: CONFIG.storage.maxHistorySize })).reverse();
+    const lastEpoch = stored.length > 0 ? stored[stored.length - 1].timestamp : 0;
+
+    // Pages arrive newest first; each one ends just before the previous
+    const fetched = [];
+    let gapFilled = false;
+    try {
+      let end = 'latest';
+      while (!gapFilled && fetched.length < CONFIG.storage.maxHistorySize) {
+        const request = { ticks_history: symbol, end, style: 'ticks', count: CONFIG.api.backfillCount };
+        if (lastEpoch > 0) request.start = lastEpoch + 1;
+
+        const response = await this.sendRequest(request);
+        const { prices = [], times = [] } = response.history || {};
+        fetched.unshift(...times.map((epoch, i) => ({ epoch, quote: prices[i], symbol, pip_size: response.pip_size })));
+
+        // A short page reached the start of the gap
+        gapFilled = lastEpoch === 0 || times.length < CONFIG.api.backfillCount;
+        end = times[0] - 1;
+      }
+    } catch (error) {
+      Utils.log(`Tick backfill failed for ${symbol}`, 'warn', error);
+    }
+
+    const added = Storage.saveTicks(fetched);
+    Utils.log(`Backfilled ${added.length} ticks for ${symbol}`, 'info');
+
+    // Rebuild the buffer from everything known for this symbol, one tick per epoch
+    const session = this.getSession(symbol);
+    const since = gapFilled ? 0 : (fetched[0]?.epoch ?? Infinity);
+    if (!gapFilled && lastEpoch > 0) {
+      Utils.log(`Ticks for ${symbol} are missing after ${new Date(lastEpoch * 1000).toISOString()}; ` +
+        'the tick buffer restarts after the gap', 'warn');
+    }
+
+    const byEpoch = new Map();
+    [...stored, ...session.tickBuffer, ...added]
+      .filter(t => t.timestamp >= since)
+      .forEach(t => byEpoch.set(t.timestamp, t));
+    session.tickBuffer = [...byEpoch.values()]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-CONFIG.storage.maxHistorySize);
+    session.lastTick = session.tickBuffer[session.tickBuffer.length - 1] || null;
+    AnalysisClient.resync(symbol);
+    this.updateSymbolTab(session);
+
+    // Show the recent backfilled ticks on the tick chart
+    if (symbol === this.currentSymbol) {
+      added.slice(-50).forEach(tick => this.updateCharts(tick));
+      this.updateDigitHeatmap(session.tickBuffer);
+    }
+  }
+
+  /**
+   * Subscribe to balance updates for the authorized account
+   */
+  async subscribeBalance() {
+    try {
+      // The first update also arrives through the balance stream handler
+      await this.sendRequest({ balance: 1, subscribe: 1 });
+    } catch (error) {
+      this.handleRequestFailure('Failed to subscribe to balance', error);
+    }
+  }
+
+  /**
+   * Handle balance update
+   */
+  handleBalance(balance) {
+    if (!balance || !this.account) return;
+
+    this.account.balance = parseFloat(balance.balance);
+    if (balance.currency && balance.currency !== this.account.currency) {
+      this.account.currency = balance.currency;
+      Utils.setCurrency(balance.currency);
+    }
+    this.updateBalanceDisplay();
+  }
+
+  /**
+   * Balance change since the session started, absolute and as a percentage
+   */
+  getSessionEquityChange() {
+    if (!this.account) return null;
+
+    const { balance, sessionStartBalance } = this.account;
+    const change = balance - sessionStartBalance;
+    return {
+      change,
+      percentage: sessionStartBalance > 0 ? (change / sessionStartBalance) * 100 : 0
+    };
+  }
+
+  /**
+   * Update account balance in the header
+   */
+  updateBalanceDisplay() {
+    const el = document.getElementById('accountBalance');
+    if (!el) return;
+
+    if (!this.account) {
+      el.textContent = '-';
+      el.title = '';
+      return;
+    }
+
+    const { change, percentage } = this.getSessionEquityChange();
+    el.textContent = Utils.formatCurrency(this.account.balance);
+    el.title = `${this.account.loginid} · session ${change >= 0 ? '+' : ''}${Utils.formatCurrency(change)} (${percentage.toFixed(2)}%)`;
+    el.classList.toggle('text-success', change > 0);
+    el.classList.toggle('text-danger', change < 0);
+  }
+
   /**  
    * Subscribe to tick stream  
    */  
-  subscribeTicks(symbol) {  
-    this.sendMessage({  
-      ticks: symbol,  
-      subscribe: 1  
-    });  
-    Utils.log(`Subscribed to ${symbol}`, 'info');  
+  async subscribeTicks(symbol) {  
+    try {
+      await this.sendRequest({  
+        ticks: symbol,  
+        subscribe: 1  
+      });  
+      Utils.log(`Subscribed to ${symbol}`, 'info');  
+    } catch (error) {
+      this.handleRequestFailure(`Failed to subscribe to ${symbol}`, error);
+    }
   }  
 
   /**  
    * Handle tick data  
    */  
   async handleTick(tick) {  
+    const session = this.getSession(tick.symbol);
+
+    // Skip ticks already merged by a backfill  
+    const lastTick = session.tickBuffer[session.tickBuffer.length - 1];
+    if (lastTick && tick.epoch <= lastTick.timestamp) return;
+
     // Save tick to storage  
     const tickData = Storage.saveTick(tick);  
       
     if (!tickData) return;  
 
+    // Add to buffer  
+    session.tickBuffer.push(tickData);  
+    if (session.tickBuffer.length > CONFIG.storage.maxHistorySize) {
+      session.tickBuffer.shift();
+    }
+    session.lastTick = tickData;
+
     // Update UI  
-    this.updateTickDisplay(tickData);  
-    this.updateCharts(tickData);  
+    const isActive = tick.symbol === this.currentSymbol;
+    if (isActive) {
+      this.updateTickDisplay(tickData);  
+      this.updateCharts(tickData);  
+      this.updateDigitHeatmap(session.tickBuffer);
+    }
 
-    // Add to buffer  
-    this.tickBuffer.push(tickData);  
+    // Score waiting model votes, test for drift and predict, off the UI thread
+    let result;
+    try {
+      result = await AnalysisClient.processTick(tickData, session.tickBuffer,
+        session.tickBuffer.length >= 20 && !this.emergencyStop);
+    } catch (error) {
+      Utils.log(`Analysis failed for ${tick.symbol}`, 'error', error);
+      return;
+    }
+
+    if (result.settled.length > 0) {
+      this.updateModelChart();
+    }
+    if (result.driftEvents.length > 0) {
+      this.handleDrift(session, result.driftEvents, isActive);
+    }
 
     // Run prediction engine  
-    if (this.tickBuffer.length >= 20 && !this.emergencyStop) {  
-      const prediction = Analysis.predict(this.tickBuffer);  
-      this.updatePredictionDisplay(prediction);  
+    const prediction = result.prediction;
+    if (prediction) {  
+      session.lastPrediction = prediction;
+      if (isActive) {
+        this.updatePredictionDisplay(prediction);  
+      }
 
-      // Auto-trade if enabled  
-      if (CONFIG.trading.autoTrade && prediction.shouldTrade) {  
+      // Auto-trade if enabled globally and for this symbol, and the schedule allows it
+      if (CONFIG.trading.autoTrade && session.autoTrade && prediction.shouldTrade && this.checkSchedule().canTrade) {
         await this.executeTrade(prediction);  
       }  
     }  
 
+    this.updateSymbolTab(session);
+
     // Dispatch custom event  
     window.dispatchEvent(new CustomEvent('tickReceived', { detail: tickData }));  
   }  
 
+  /**
+   * Report drift, mark it on the tick chart and optionally pause the symbol
+   */
+  handleDrift(session, events, isActive) {
+    events.forEach(event => Utils.notify('Drift Detected', event.message, 'warning'));
+
+    if (isActive && this.charts.tick) {
+      const markers = this.charts.tick.data.datasets[1].data;
+      markers[markers.length - 1] = session.lastTick.digit;
+      this.charts.tick.update('none');
+    }
+
+    if (CONFIG.drift.pauseAutoTrade && session.autoTrade) {
+      session.autoTrade = false;
+      this.updateSymbolTab(session);
+      Utils.log(`${session.symbol}: auto-trading paused on drift`, 'warn');
+    }
+  }
+
+  /**
+   * Get (or create) the trading session for a symbol
+   */
+  getSession(symbol) {
+    if (!this.sessions.has(symbol)) {
+      this.sessions.set(symbol, {
+        symbol,
+        tickBuffer: [],
+        lastTick: null,
+        lastPrediction: null,
+        lastTradeTime: 0,
+        pendingOrder: null, // journal id of an order being priced or bought
+        payoutRatio: null, // payout / ask_price of the latest even/odd proposal
+        consecutiveLosses: 0,
+        dailyLoss: 0,
+        dailyLossRestored: false, // trading waits until today's stored losses are counted
+        autoTrade: true
+      });
+      this.restoreDailyLoss([symbol])
+        .catch(e => Utils.log(`Failed to restore daily loss for ${symbol}`, 'error', e));
+    }
+    return this.sessions.get(symbol);
+  }
+
+  /**
+   * Total loss today across all symbols
+   */
+  getAccountDailyLoss() {
+    let total = 0;
+    this.sessions.forEach(session => {
+      total += session.dailyLoss;
+    });
+    return total;
+  }
+
+  /**
+   * Reset every symbol's daily loss counter
+   */
+  resetDailyLoss() {
+    this.sessions.forEach(session => {
+      session.dailyLoss = 0;
+    });
+  }
+
+  /**
+   * Rebuild symbols' daily loss from the live losses stored since midnight in the
+   * schedule's timezone, after a reload (or a timezone change). Losses that settle
+   * while the query runs are kept.
+   */
+  async restoreDailyLoss(symbols = [...this.sessions.keys()]) {
+    const { dayStart } = Scheduler.getLocalTime();
+
+    await Promise.all(symbols.map(async symbol => {
+      const session = this.sessions.get(symbol);
+      const before = session.dailyLoss;
+      const trades = await Storage.queryTrades({ symbol, from: dayStart });
+      const loss = trades
+        .filter(t => !t.simulated && t.result === 'loss')
+        .reduce((sum, t) => sum + t.stake, 0);
+      session.dailyLoss = loss + (session.dailyLoss - before);
+      session.dailyLossRestored = true;
+    }));
+  }
+
+  /**
+   * Apply the trading schedule: reset the daily counters when the day has changed
+   * (also after a sleep or reload) and pause or resume auto-trading as the
+   * windows, session budgets and breaks allow
+   */
+  checkSchedule() {
+    const status = Scheduler.evaluate();
+    if (status.dayChanged) {
+      this.resetDailyLoss();
+      Utils.notify('Daily Reset', 'Daily loss counter has been reset', 'info');
+    }
+
+    const previous = this.scheduleStatus;
+    this.scheduleStatus = status;
+    if (previous && previous.canTrade !== status.canTrade && CONFIG.trading.autoTrade) {
+      if (status.canTrade) {
+        Utils.notify('Auto Trade Resumed', 'Trading schedule allows trading again', 'info');
+      } else {
+        Utils.notify('Auto Trade Paused', status.reason, 'warning');
+      }
+      Utils.log(`Schedule: auto-trading ${status.canTrade ? 'resumed' : `paused (${status.reason})`}`, 'info');
+    }
+
+    this.updateScheduleStatus();
+    return status;
+  }
+
+  /**
+   * Show whether the schedule allows trading and the session's budget use
+   */
+  updateScheduleStatus() {
+    const el = document.getElementById('scheduleStatus');
+    const status = this.scheduleStatus;
+    if (!el || !status) return;
+
+    if (!CONFIG.schedule.enabled) {
+      el.textContent = 'Schedule off';
+      return;
+    }
+
+    const session = status.session;
+    const budget = session
+      ? ` · session ${session.trades}${CONFIG.schedule.maxTradesPerSession > 0 ? `/${CONFIG.schedule.maxTradesPerSession}` : ''} trades, ` +
+        `P&L ${session.pnl >= 0 ? '+' : ''}${Utils.formatCurrency(session.pnl)}`
+      : '';
+    el.textContent = `${status.canTrade ? 'Trading' : `Paused: ${status.reason}`}${budget}`;
+  }
+
+  /**
+   * Render one dashboard tab per streamed symbol
+   */
+  renderSymbolTabs() {
+    const container = document.getElementById('symbolTabs');
+    if (!container) return;
+
+    container.innerHTML = '';
+    this.symbols.forEach(symbol => {
+      const tab = document.createElement('div');
+      tab.className = `symbol-tab ${symbol === this.currentSymbol ? 'active' : ''}`;
+      tab.dataset.symbol = symbol;
+      tab.innerHTML = `
+        <button class="symbol-tab-select">${symbol}</button>
+        <span class="symbol-tab-digit">-</span>
+        <label class="symbol-tab-auto" title="Auto-trade this symbol">
+          <input type="checkbox" ${this.getSession(symbol).autoTrade ? 'checked' : ''}>
+          <span>Auto</span>
+        </label>
+      `;
+      tab.querySelector('.symbol-tab-select').addEventListener('click', () => this.selectSymbol(symbol));
+      tab.querySelector('input').addEventListener('change', (e) => {
+        this.getSession(symbol).autoTrade = e.target.checked;
+      });
+      container.appendChild(tab);
+      this.updateSymbolTab(this.getSession(symbol));
+    });
+  }
+
+  /**
+   * Refresh a symbol tab's last digit and risk state
+   */
+  updateSymbolTab(session) {
+    const tab = document.querySelector(`.symbol-tab[data-symbol="${session.symbol}"]`);
+    if (!tab) return;
+
+    const digitEl = tab.querySelector('.symbol-tab-digit');
+    if (session.lastTick) {
+      digitEl.textContent = session.lastTick.digit;
+      digitEl.className = `symbol-tab-digit ${session.lastTick.isEven ? 'even' : 'odd'}`;
+    }
+    tab.querySelector('input').checked = session.autoTrade;
+    tab.title = `${session.consecutiveLosses} consecutive losses, ${Utils.formatCurrency(session.dailyLoss)} lost today`;
+  }
+
+  /**
+   * Show a symbol on the dashboard
+   */
+  selectSymbol(symbol) {
+    this.currentSymbol = symbol;
+    const session = this.getSession(symbol);
+
+    document.querySelectorAll('.symbol-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.symbol === symbol);
+    });
+
+    // Redraw the tick panel and chart from this symbol's buffer
+    document.getElementById('digitHistory').innerHTML = '';
+    if (this.charts.tick) {
+      this.charts.tick.data.labels = [];
+      this.charts.tick.data.datasets[0].data = [];
+      this.charts.tick.data.datasets[1].data = [];
+    }
+    session.tickBuffer.slice(-50).forEach(tick => this.updateCharts(tick));
+    session.tickBuffer.slice(-20, -1).forEach(tick => this.updateDigitHistory(tick));
+    if (session.lastTick) {
+      this.updateTickDisplay(session.lastTick); // also appends the latest digit
+    }
+    if (session.lastPrediction) {
+      this.updatePredictionDisplay(session.lastPrediction);
+    }
+    this.updateDigitHeatmap(session.tickBuffer);
+  }  
+
+  /**
+   * Draw last-digit frequencies per rolling window, shaded by deviation from the
+   * uniform 10%, with each window's chi-square and runs-test p-values
+   */
+  updateDigitHeatmap(ticks) {
+    const container = document.getElementById('digitHeatmap');
+    if (!container) return;
+
+    const { windows, significanceLevel } = CONFIG.models.distribution;
+    const sizes = [...new Set(windows.map(size => Math.min(size, ticks.length)))].filter(size => size > 0);
+
+    container.innerHTML = sizes.map(size => {
+      const stats = Analysis.getDigitDistribution(ticks, size);
+      const cells = stats.frequencies.map((frequency, digit) => {
+        const deviation = Math.max(-1, Math.min(1, (frequency - 0.1) / 0.1));
+        const color = deviation >= 0 ? '16, 185, 129' : '239, 68, 68';
+        return `
+          <div class="heatmap-cell" style="background: rgba(${color}, ${(Math.abs(deviation) * 0.8).toFixed(2)})"
+            title="${stats.counts[digit]} of ${size}">
+            <span class="heatmap-digit">${digit}</span>
+            <span class="heatmap-value">${(frequency * 100).toFixed(1)}%</span>
+          </div>
+        `;
+      }).join('');
+      const format = (p) => `<span class="${p < significanceLevel ? 'heatmap-significant' : ''}">${p.toFixed(4)}</span>`;
+
+      return `
+        <div class="heatmap-row">
+          <div class="heatmap-label">Last ${size}</div>
+          <div class="heatmap-cells">${cells}</div>
+          <div class="heatmap-stats">χ² p=${format(stats.chiSquareP)} · runs p=${format(stats.runsP)}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
   /**  
    * Update tick display in UI  
    */  
@@ -577,7 +1024,7 @@ class DerivBot {
     label.className = `digit-label ${tick.isEven ? 'even' : 'odd'}`;  
 
     // Update volatility  
-    const volatility = Utils.calculateVolatility(this.tickBuffer, 20);  
+    const volatility = Utils.calculateVolatility(this.getSession(tick.symbol).tickBuffer, 20);  
     document.getElementById('volatility').textContent = (volatility * 100).toFixed(2) + '%';  
 
     // Update history display  
@@ -605,7 +1052,7 @@ class DerivBot {
    * Update prediction display  
    */  
   updatePredictionDisplay(prediction) {  
-    document.getElementById('predictionValue').textContent = prediction.finalPrediction || '-';  
+    document.getElementById('predictionValue').textContent = prediction.contract?.label || prediction.finalPrediction || '-';  
     document.getElementById('confidenceText').textContent =   
       `${(prediction.confidence * 100).toFixed(1)}%`;  
       
@@ -614,6 +1061,12 @@ class DerivBot {
 
     document.getElementById('tradeReason').textContent = prediction.reason;  
 
+    const latency = prediction.latency;
+    document.getElementById('predictionLatency').textContent = latency
+      ? `Prediction latency ${latency.total.toFixed(1)} ms (models ${latency.compute.toFixed(1)} ms, ` +
+        `avg ${AnalysisClient.latency.average.toFixed(1)} ms${AnalysisClient.worker ? '' : ', main thread'})`
+      : '';
+
     // Update model breakdown  
     const modelVotesContainer = document.getElementById('modelVotes');  
     modelVotesContainer.innerHTML = '';  
@@ -635,7 +1088,7 @@ class DerivBot {
   }  
 
   /**  
-   * Execute trade  
+   * Execute trade on the prediction's symbol  
    */  
   async executeTrade(prediction) {  
     // Check if connected
@@ -643,81 +1096,176 @@ class DerivBot {
       Utils.log('Cannot execute trade: not connected', 'warn');
       return;
     }
+
+    const symbol = prediction.symbol || this.currentSymbol;
+    const session = this.getSession(symbol);
     
     // Check risk management rules  
-    if (!this.checkRiskManagement()) {  
-      Utils.log('Trade blocked by risk management', 'warn');  
+    if (!this.checkRiskManagement(session)) {  
+      Utils.log(`Trade on ${symbol} blocked by risk management`, 'warn');  
       return;  
     }  
 
     // Check cooldown period  
     const now = Date.now();  
-    if (now - this.lastTradeTime < CONFIG.risk.cooldownPeriod * 1000) {  
-      Utils.log('Trade blocked by cooldown period', 'warn');  
+    if (now - session.lastTradeTime < CONFIG.risk.cooldownPeriod * 1000) {  
+      Utils.log(`Trade on ${symbol} blocked by cooldown period`, 'warn');  
       return;  
     }  
 
+    // One order per symbol at a time; the cooldown only starts once it is bought
+    if (session.pendingOrder) {
+      Utils.log(`Trade on ${symbol} blocked: order ${session.pendingOrder} still in progress`, 'warn');
+      return;
+    }
+
+    const contract = prediction.contract || Contracts.create('evenOdd', prediction.finalPrediction);
+
     // Calculate stake  
-    const stake = this.calculateStake();  
+    const stake = this.calculateStake({
+      symbol,
+      payoutRatio: this.getPayoutRatio(session, contract),
+      winProbability: prediction.confidence
+    });  
 
     if (!Utils.validateStake(stake)) {  
       Utils.log('Invalid stake amount', 'error');  
       return;  
     }  
 
+    const duration = prediction.duration || CONFIG.trading.contractDuration;
+    const order = TradeJournal.create({
+      symbol, prediction, contract, stake, duration, simulated: CONFIG.trading.simulationMode
+    });
+    session.pendingOrder = order.id;
+
+    try {
+      await this.placeOrder(order, prediction, session);
+    } finally {
+      session.pendingOrder = null;
+    }
+  }  
+
+  /**
+   * Take a pending order through pricing and buying, recording each step in the journal.
+   * The cooldown starts once the buy is confirmed.
+   */
+  async placeOrder(order, prediction, session) {
+    const { symbol, contract, stake, duration } = order;
+
+    // Price the contract before committing to it  
+    let proposal;
+    try {
+      proposal = await this.requestProposal({ symbol, contract, stake, duration });
+    } catch (error) {
+      Utils.log('Proposal request failed', 'error', { error, symbol, prediction: contract.label, stake });
+      TradeJournal.transition(order, 'failed', { error, response: error.response });
+      return;
+    }
+
+    TradeJournal.transition(order, 'proposed', { request: proposal.request, response: proposal.response });
+
+    if (contract.family === 'evenOdd') {
+      session.payoutRatio = proposal.payoutRatio;
+    }
+    if (contract.family === 'evenOdd' && proposal.payoutRatio < CONFIG.trading.minPayoutRatio) {
+      const reason = `payout ratio ${proposal.payoutRatio.toFixed(3)} below minimum ${CONFIG.trading.minPayoutRatio}`;
+      Utils.log(`Trade on ${symbol} refused: ${reason}`, 'warn', proposal);
+      TradeJournal.transition(order, 'cancelled', { reason });
+      return;
+    }
+
+    // Digit contracts pay very differently per side, so judge them by expected return at the quoted payout
+    const expectedReturn = prediction.confidence * proposal.payoutRatio - 1;
+    if (contract.family !== 'evenOdd' && expectedReturn < CONFIG.trading.minExpectedReturn) {
+      const reason = `${contract.label} expected return ${(expectedReturn * 100).toFixed(1)}% below minimum`;
+      Utils.log(`Trade on ${symbol} refused: ${reason}`, 'warn', proposal);
+      TradeJournal.transition(order, 'cancelled', { reason });
+      return;
+    }
+
     // Simulation mode  
-    if (CONFIG.trading.simulationMode) {  
-      this.simulateTrade(prediction, stake);  
+    if (order.simulated) {  
+      session.lastTradeTime = Date.now();
+      TradeJournal.transition(order, 'bought');
+      Scheduler.recordOrder();
+      this.simulateTrade(prediction, contract, stake, session, order);  
       return;  
     }  
 
-    // Send buy request  
-    const contractType = prediction.finalPrediction === 'EVEN' ? 'DIGITODD' : 'DIGITEVEN';  
-      
+    // Buy the priced proposal  
+    const request = { buy: proposal.id, price: proposal.askPrice, subscribe: 1 };
+    let response;
     this.showLoading('Placing trade...');  
 
     try {  
-      this.sendMessage({  
-        buy: 1,  
-        subscribe: 1,  
-        price: stake,  
-        parameters: {  
-          amount: stake,  
-          basis: 'stake',  
-          contract_type: contractType,  
-          currency: 'USD',  
-          duration: prediction.duration || CONFIG.trading.contractDuration,  
-          duration_unit: 't',  
-          symbol: this.currentSymbol  
-        }  
-      });  
+      response = await this.sendRequest(request);
+    } catch (error) {  
+      Utils.log('Trade execution failed', 'error', { error, symbol, prediction: contract.label, stake });  
+      TradeJournal.transition(order, 'failed', { request, error, response: error.response });
+      this.showModal('error', 'Trade Failed',
+        `${contract.label} trade on ${symbol} for ${Utils.formatCurrency(stake)} failed: ${error.message}`);  
+      return;
+    } finally {
+      this.hideLoading();
+    }
 
-      this.lastTradeTime = now;  
-      Utils.log('Trade executed', 'info', { prediction: prediction.finalPrediction, stake });  
+    session.lastTradeTime = Date.now();
+    TradeJournal.transition(order, 'bought', { request, response, contractId: response.buy?.contract_id ?? null });
+    Scheduler.recordOrder();
 
-    } catch (error) {  
-      this.hideLoading();  
-      Utils.log('Trade execution failed', 'error', error);  
-      this.showModal('error', 'Trade Failed', error.message);  
-    }  
+    if (prediction.trackingId) {
+      AnalysisClient.setPredictionHorizon(prediction.trackingId, duration);
+    }
+    Utils.log('Trade executed', 'info', { symbol, prediction: contract.label, stake, payout: proposal.payout });  
+    this.handleBuyResponse(response, { prediction, contract, stake, symbol, orderId: order.id });
   }  
 
+  /**
+   * Request a price proposal for a contract
+   * @returns {Promise<{id, askPrice, payout, payoutRatio, request, response}>}
+   */
+  async requestProposal({ symbol, contract, stake, duration }) {
+    const request = {
+      proposal: 1,
+      amount: stake,
+      basis: 'stake',
+      ...Contracts.buildParameters(contract),
+      currency: this.account?.currency || Utils.currency,
+      duration,
+      duration_unit: 't',
+      symbol
+    };
+    const response = await this.sendRequest(request);
+
+    const askPrice = parseFloat(response.proposal.ask_price);
+    const payout = parseFloat(response.proposal.payout);
+
+    return {
+      id: response.proposal.id,
+      askPrice,
+      payout,
+      payoutRatio: askPrice > 0 ? payout / askPrice : 0,
+      request,
+      response
+    };
+  }
+
   /**  
    * Execute manual trade  
    */  
   executeManualTrade() {  
-    const predictionValue = document.getElementById('predictionValue').textContent;  
-    if (predictionValue === '-') {  
+    const lastPrediction = this.currentSymbol ? this.getSession(this.currentSymbol).lastPrediction : null;
+    if (!lastPrediction?.finalPrediction) {  
       this.showModal('warning', 'No Prediction', 'Wait for a prediction before trading manually');  
       return;  
     }  
 
-    const confidence = parseFloat(document.getElementById('confidenceText').textContent) / 100;  
     const prediction = {  
-      finalPrediction: predictionValue,  
-      confidence,  
+      ...lastPrediction,
       shouldTrade: true,  
-      reason: 'Manual trade executed by user'  
+      reason: 'Manual trade executed by user',  
+      symbol: this.currentSymbol  
     };  
 
     this.executeTrade(prediction);  
@@ -725,23 +1273,185 @@ class DerivBot {
 
   /**  
    * Handle buy response  
+   * @param {Object} data - buy response
+   * @param {Object} context - prediction, stake and symbol that triggered the buy
    */  
-  handleBuyResponse(data) {  
-    this.hideLoading();  
-
+  handleBuyResponse(data, context) {  
     if (data.buy) {  
       Utils.log('Contract purchased', 'info', data.buy);  
       Utils.notify('Trade Placed', `Contract ID: ${data.buy.contract_id}`, 'success');  
       Utils.playSound('success');  
 
-      // Subscribe to contract updates  
-      this.sendMessage({  
-        proposal_open_contract: 1,  
-        contract_id: data.buy.contract_id,  
-        subscribe: 1  
-      });  
-    }  
-  }  
+      this.openContracts.set(data.buy.contract_id, {
+        contract: context.contract,
+        prediction: context.prediction.finalPrediction,
+        confidence: context.prediction.confidence,
+        reason: context.prediction.reason,
+        stake: context.stake,
+        symbol: context.symbol,
+        orderId: context.orderId ?? null,
+        loginid: this.account?.loginid ?? null,
+        openedAt: Date.now()
+      });
+      this.saveOpenContracts();
+
+      this.subscribeContract(data.buy.contract_id);
+    }  
+  }  
+
+  /**
+   * Record a step of a bought order; contract streams can outlive the journal window,
+   * so an unknown order or a repeated step is logged rather than thrown
+   */
+  recordOrderStep(orderId, state, details = {}) {
+    if (!orderId) return;
+    try {
+      TradeJournal.transition(orderId, state, details);
+    } catch (error) {
+      Utils.log('Order journal not updated', 'warn', { orderId, state, error: error.message });
+    }
+  }
+
+  /**
+   * Subscribe to a contract's updates; its sale settles it
+   */
+  subscribeContract(contractId) {
+    this.sendMessage({  
+      proposal_open_contract: 1,  
+      contract_id: contractId,  
+      subscribe: 1  
+    });  
+  }
+
+  /**
+   * Persist in-flight contracts so a reload can settle them
+   */
+  saveOpenContracts() {
+    Storage.setItem('openContracts', [...this.openContracts]);
+  }
+
+  /**
+   * After (re)authorizing, settle contracts sold while no subscription was listening
+   * (dropped socket, page reload), resubscribe those still open, and correct stored
+   * trades that disagree with the account's profit table
+   */
+  async reconcileContracts() {
+    const loginid = this.account?.loginid;
+    const pending = [...this.openContracts.entries()]
+      .filter(([, context]) => !context.loginid || context.loginid === loginid);
+
+    try {
+      if (pending.length > 0) {
+        // A settled contract's trade is stored after the contract opened
+        const from = Math.min(...pending.map(([, context]) => context.openedAt ?? 0));
+        const storedIds = new Set((await Storage.queryTrades({ from })).map(t => t.contractId));
+
+        const response = await this.sendRequest({ portfolio: 1 });
+        const openIds = new Set((response.portfolio?.contracts || []).map(c => c.contract_id));
+
+        for (const [contractId] of pending) {
+          if (storedIds.has(contractId)) {
+            this.openContracts.delete(contractId);
+            this.saveOpenContracts();
+          } else if (openIds.has(contractId)) {
+            this.subscribeContract(contractId);
+          } else {
+            await this.settleClosedContract(contractId);
+          }
+        }
+        Utils.log(`Reconciled ${pending.length} open contract(s)`, 'info');
+      }
+
+      await this.correctStoredTrades();
+    } catch (error) {
+      this.handleRequestFailure('Contract reconciliation failed', error);
+    }
+  }
+
+  /**
+   * Settle a contract that is no longer open from its final state
+   */
+  async settleClosedContract(contractId) {
+    try {
+      const response = await this.sendRequest({ proposal_open_contract: 1, contract_id: contractId });
+      const contract = response.proposal_open_contract;
+
+      if (contract?.is_sold) {
+        this.handleContractSettlement(contract);
+      } else {
+        // Expired but not yet settled by the server
+        this.subscribeContract(contractId);
+      }
+    } catch (error) {
+      if (['ConnectionClosed', 'NotConnected', 'RequestTimeout'].includes(error.code)) throw error;
+
+      // The server does not know it for this account; keeping it would retry forever
+      Utils.log(`Dropping unresolvable contract ${contractId}`, 'error', error);
+      this.recordOrderStep(this.openContracts.get(contractId)?.orderId, 'failed', { error, response: error.response });
+      this.openContracts.delete(contractId);
+      this.saveOpenContracts();
+    }
+  }
+
+  /**
+   * Compare stored trades with the server's profit table and correct any that differ
+   */
+  async correctStoredTrades() {
+    const response = await this.sendRequest({ profit_table: 1, sort: 'DESC', limit: 500 });
+    const transactions = response.profit_table?.transactions || [];
+    if (transactions.length === 0) return;
+
+    // Trades are stored when they settle, after their purchase time
+    const from = Math.min(...transactions.map(t => t.purchase_time || 0)) * 1000;
+    const trades = new Map((await Storage.queryTrades({ from }))
+      .filter(t => !t.simulated && t.contractId)
+      .map(t => [t.contractId, t]));
+    let corrected = 0;
+
+    transactions.forEach(transaction => {
+      const trade = trades.get(transaction.contract_id);
+      if (!trade) return;
+
+      const stake = parseFloat(transaction.buy_price);
+      const payout = parseFloat(transaction.sell_price) || 0;
+      const profit = payout - stake;
+      const result = profit > 0 ? 'win' : 'loss';
+      const differs = result !== trade.result ||
+        [[stake, trade.stake], [payout, trade.payout], [profit, trade.profit]].some(([a, b]) => Math.abs(a - b) > 0.005);
+      if (!differs) return;
+
+      Storage.correctTrade(trade, { stake, payout, profit, result, corrected: true });
+      Utils.log(`Corrected stored trade for contract ${transaction.contract_id}`, 'warn', {
+        stored: { stake: trade.stake, payout: trade.payout, result: trade.result },
+        server: { stake, payout, result }
+      });
+      corrected++;
+    });
+
+    if (corrected > 0) {
+      Utils.notify('Trades Corrected', `${corrected} stored trade(s) updated from the server record`, 'warning');
+      await this.restoreRiskCounters();
+      this.updateStatsDisplay();
+      this.updateHistoryTable();
+    }
+  }
+
+  /**
+   * Recompute each symbol's daily loss and losing streak from stored trades, and the
+   * session risk figures, so limits run on corrected results
+   */
+  async restoreRiskCounters() {
+    await this.restoreDailyLoss();
+
+    for (const session of this.sessions.values()) {
+      const recent = await Storage.queryTrades({ symbol: session.symbol, reverse: true, limit: CONFIG.storage.maxHistorySize });
+      const lastWin = recent.findIndex(t => t.result === 'win');
+      session.consecutiveLosses = lastWin < 0 ? recent.length : lastWin;
+      this.updateSymbolTab(session);
+    }
+
+    await this.checkSessionLimits();
+  }
 
   /**  
    * Handle contract updates  
@@ -751,60 +1461,90 @@ class DerivBot {
       
     if (contract.is_sold) {  
       this.handleContractSettlement(contract);  
+      return;
     }  
+
+    // The first update confirms the contract is running
+    const orderId = this.openContracts.get(contract.contract_id)?.orderId;
+    if (orderId && TradeJournal.get(orderId)?.state === 'bought') {
+      this.recordOrderStep(orderId, 'open', { response: contract });
+    }
   }  
 
   /**  
    * Handle contract settlement  
    */  
   handleContractSettlement(contract) {  
+    // Both the buy stream and the explicit subscription report the sale
+    if (this.settledContracts.has(contract.contract_id)) return;
+    this.settledContracts.add(contract.contract_id);
+
+    const context = this.openContracts.get(contract.contract_id);
+    this.openContracts.delete(contract.contract_id);
+    this.saveOpenContracts();
+
+    const symbol = context?.symbol ?? contract.underlying;
+    const session = this.getSession(symbol);
+
     const stake = parseFloat(contract.buy_price);  
     const payout = parseFloat(contract.sell_price) || 0;  
     const profit = payout - stake;  
     const result = profit > 0 ? 'win' : 'loss';  
+    const traded = context?.contract ?? Contracts.fromContractType(contract.contract_type, contract.barrier);
 
     // Save trade  
     const trade = {  
       contractId: contract.contract_id,  
       contractType: contract.contract_type,  
+      contractFamily: traded?.family ?? null,
+      barrier: traded?.barrier ?? null,
+      symbol,  
       stake,  
       payout,  
       profit,  
       result,  
-      prediction: contract.contract_type.includes('EVEN') ? 'EVEN' : 'ODD',  
+      prediction: traded?.side ?? context?.prediction,  
       actualDigit: contract.exit_tick,  
-      confidence: parseFloat(document.getElementById('confidenceText').textContent) / 100  
+      confidence: context?.confidence ?? parseFloat(document.getElementById('confidenceText').textContent) / 100,  
+      orderId: context?.orderId ?? null
     };  
 
-    Storage.saveTrade(trade);  
+    const saved = Storage.saveTrade(trade);  
+    this.recordOrderStep(context?.orderId, 'settled', { response: contract, tradeId: saved?.id ?? null, result, profit });
 
-    // Update consecutive losses  
+    // Update the symbol's risk counters  
     if (result === 'loss') {  
-      this.consecutiveLosses++;  
-      this.dailyLoss += stake;  
+      session.consecutiveLosses++;  
+      session.dailyLoss += stake;  
     } else {  
-      this.consecutiveLosses = 0;  
+      session.consecutiveLosses = 0;  
     }  
+    Staking.record(symbol, { won: result === 'win', stake, profit, payoutRatio: payout > 0 ? payout / stake : this.getPayoutRatio(session, traded) });
+    Scheduler.recordResult(profit);
 
-    // Update RL model if enabled  
-    if (CONFIG.models.reinforcementLearning.enabled && this.tickBuffer.length > 5) {  
-      const state = Analysis.getState(this.tickBuffer.slice(-5));  
+    // Update RL model if enabled (it learns even/odd actions only)
+    const ticks = session.tickBuffer;
+    if (CONFIG.models.reinforcementLearning.enabled && ticks.length > 5 && traded?.family === 'evenOdd') {  
+      const state = Analysis.getState(ticks.slice(-5));  
       const action = trade.prediction;  
       const reward = result === 'win' ? 1 : -1;  
-      const newState = Analysis.getState(this.tickBuffer);  
-      Analysis.updateQLearning(state, action, reward, newState);  
+      const newState = Analysis.getState(ticks);  
+      AnalysisClient.updateQLearning(state, action, reward, newState, symbol);  
     }  
 
     // Update UI  
+    this.updateSymbolTab(session);
+    this.checkSessionLimits();
+    this.checkSchedule();
     this.updateStatsDisplay();  
     this.updateHistoryTable();  
 
     // Notifications  
     if (result === 'win') {  
-      Utils.notify('Trade Won! 🎉', `Profit: ${Utils.formatCurrency(profit)}`, 'success');  
+      Utils.notify('Trade Won! 🎉', `${symbol} profit: ${Utils.formatCurrency(profit)}`, 'success');  
       Utils.playSound('success');  
     } else {  
-      Utils.notify('Trade Lost', `Loss: ${Utils.formatCurrency(stake)}`, 'error');  
+      Utils.notify('Trade Lost', `${symbol} loss: ${Utils.formatCurrency(stake)}`, 'error');  
       Utils.playSound('error');  
     }  
 
@@ -817,36 +1557,44 @@ class DerivBot {
   /**  
    * Simulate trade (for testing)  
    */  
-  simulateTrade(prediction, stake) {  
-    const actualDigit = this.tickBuffer[this.tickBuffer.length - 1].digit;  
-    const actualIsEven = actualDigit % 2 === 0;  
-    const predictedIsEven = prediction.finalPrediction === 'EVEN';  
-      
-    const result = actualIsEven === predictedIsEven ? 'win' : 'loss';  
-    const payout = result === 'win' ? stake * 1.95 : 0;  
+  simulateTrade(prediction, contract, stake, session, order = null) {  
+    const actualDigit = session.tickBuffer[session.tickBuffer.length - 1].digit;  
+    const result = Contracts.wins(contract, actualDigit) ? 'win' : 'loss';  
+    const payoutRatio = this.getPayoutRatio(session, contract);
+    const payout = result === 'win' ? stake * payoutRatio : 0;  
     const profit = payout - stake;  
 
     const trade = {  
       contractId: 'SIM_' + Utils.generateId(),  
-      contractType: prediction.finalPrediction,  
+      contractType: contract.contractType,  
+      contractFamily: contract.family,
+      barrier: contract.barrier,
+      symbol: session.symbol,  
       stake,  
       payout,  
       profit,  
       result,  
-      prediction: prediction.finalPrediction,  
+      prediction: contract.side,  
       actualDigit,  
       confidence: prediction.confidence,  
-      simulated: true  
+      simulated: true,  
+      orderId: order?.id ?? null
     };  
 
-    Storage.saveTrade(trade);  
+    const saved = Storage.saveTrade(trade);  
+    this.recordOrderStep(order?.id, 'settled', { tradeId: saved?.id ?? null, result, profit, actualDigit });
 
     if (result === 'loss') {  
-      this.consecutiveLosses++;  
+      session.consecutiveLosses++;  
     } else {  
-      this.consecutiveLosses = 0;  
+      session.consecutiveLosses = 0;  
     }  
+    Staking.record(session.symbol, { won: result === 'win', stake, profit, payoutRatio });
+    Scheduler.recordResult(profit);
 
+    this.updateSymbolTab(session);
+    this.checkSessionLimits();
+    this.checkSchedule();
     this.updateStatsDisplay();  
     this.updateHistoryTable();  
 
@@ -859,92 +1607,154 @@ class DerivBot {
     Utils.log('Simulated trade completed', 'info', trade);  
   }  
 
+  /**
+   * Expected payout ratio of a contract on a symbol: the latest even/odd proposal's,
+   * scaled to the winning digits of other contract families
+   */
+  getPayoutRatio(session, contract) {
+    const parityPayoutRatio = session.payoutRatio ?? CONFIG.trading.defaultPayoutRatio;
+    return !contract || contract.family === 'evenOdd'
+      ? parityPayoutRatio
+      : Contracts.payoutRatioFor(contract, parityPayoutRatio);
+  }
+
   /**  
-   * Calculate stake with adaptive sizing  
+   * Calculate stake with the configured staking strategy  
+   * @param {Object} [context] - symbol (its progression) or stakingState (the backtester's own),
+   *   payoutRatio, winProbability or winRate, and balance (defaults to the account balance)
    */  
-  calculateStake() {  
-    let stake = CONFIG.trading.baseStake;  
-
-    // Ensure CONFIG.trading.martingale exists and has defaults
-    const martingale = (CONFIG.trading.martingale = CONFIG.trading.martingale || {});
-    const martingaleEnabled = Boolean(martingale.enabled);
-    const multiplier = parseFloat(martingale.multiplier) > 1 ? parseFloat(martingale.multiplier) : 2;
-
-    if (CONFIG.trading.adaptiveStaking) {  
-      const performance = Storage.getPerformance();  
-      const winRate = performance.winRate / 100;  
-
-      if (winRate > 0.5) {  
-        // Use Kelly Criterion  
-        const edge = winRate - 0.5;  
-        const kelly = Utils.calculateKellyCriterion(winRate, 1.95, edge);  
-        stake = CONFIG.trading.baseStake * (1 + kelly * 2); // Conservative Kelly  
-      } else if (this.consecutiveLosses > 2) {  
-        // Reduce stake after repeated losses if adaptive staking is configured that way
-        stake = CONFIG.trading.baseStake * 0.5;  
-      }  
-    }  
-
-    // Martingale logic: increase stake after losses to recover, capped by maxStake
-    if (martingaleEnabled && this.consecutiveLosses > 0) {
-      // Compute maximum levels allowed by maxStake and multiplier
-      const maxStake = CONFIG.trading.maxStake || stake * Math.pow(multiplier, this.consecutiveLosses);
-      let maxLevels = Infinity;
-      if (CONFIG.trading.baseStake > 0 && multiplier > 1) {
-        // floor(log(maxStake/baseStake)/log(multiplier))
-        maxLevels = Math.floor(Math.log(maxStake / CONFIG.trading.baseStake) / Math.log(multiplier));
-      }
-
-      // If CONFIG.trading.martingale.maxLevels is specified, respect it
-      if (Number.isFinite(parseInt(martingale.maxLevels))) {
-        maxLevels = Math.min(maxLevels, parseInt(martingale.maxLevels));
-      }
-
-      // Use the smaller of consecutiveLosses and allowed maxLevels
-      const levels = Math.min(this.consecutiveLosses, Math.max(0, maxLevels));
-
-      // Calculate proposed martingale stake
-      const martingaleStake = CONFIG.trading.baseStake * Math.pow(multiplier, levels);
-      Utils.log('Martingale calculation', 'debug', { base: CONFIG.trading.baseStake, multiplier, levels, martingaleStake });
-
-      stake = Math.max(stake, martingaleStake);
-    }
-
-    // Enforce limits
-    stake = Math.max(CONFIG.trading.minStake, Math.min(stake, CONFIG.trading.maxStake));  
-      
-    return parseFloat(stake.toFixed(2));  
+  calculateStake(context = {}) {  
+    const state = context.stakingState ?? Staking.getState(context.symbol);
+    return Staking.calculate(state, { balance: this.account?.balance ?? null, ...context });
   }  
 
   /**  
-   * Check risk management rules  
+   * Check risk management rules for a symbol's session  
    */  
-  checkRiskManagement() {  
+  checkRiskManagement(session) {  
     // Check emergency stop  
     if (this.emergencyStop) {  
       return false;  
     }  
 
-    // Check consecutive losses  
-    if (this.consecutiveLosses >= CONFIG.risk.maxConsecutiveLosses) {  
-      this.showModal('warning','Risk Limit Reached',   
-        `Max consecutive losses (${CONFIG.risk.maxConsecutiveLosses}) reached. Trading paused.`);  
-      CONFIG.trading.autoTrade = false;  
-      document.getElementById('autoTrade').checked = false;  
+    // Session limits stay halted until reset explicitly  
+    if (RiskManager.isHalted()) {
+      return false;
+    }
+
+    // The daily loss limit needs today's stored losses first
+    if (!session.dailyLossRestored) {
+      Utils.log(`${session.symbol}: daily loss not restored yet`, 'warn');
+      return false;
+    }
+
+    const violation = this.getRiskViolation({
+      consecutiveLosses: session.consecutiveLosses,
+      dailyLoss: session.dailyLoss,
+      accountDailyLoss: this.getAccountDailyLoss()
+    });
+    if (violation) {
+      const message = violation.scope === 'symbol' ? `${session.symbol}: ${violation.message}` : violation.message;
+      this.showModal('warning', violation.title, message);
+
+      // A symbol limit pauses that symbol; the account cap pauses everything
+      if (violation.scope === 'account') {
+        CONFIG.trading.autoTrade = false;  
+        document.getElementById('autoTrade').checked = false;  
+      } else {
+        session.autoTrade = false;
+        this.updateSymbolTab(session);
+      }
       return false;  
+    }
+
+    return true;  
+  }  
+
+  /**
+   * Get the first risk limit breached, or null
+   * @param {Object} context - consecutiveLosses/dailyLoss for one symbol, optional accountDailyLoss
+   */
+  getRiskViolation(context = {}) {
+    const { consecutiveLosses = 0, dailyLoss = 0, accountDailyLoss = null } = context;
+
+    // Check account-wide daily loss cap  
+    if (accountDailyLoss !== null && accountDailyLoss >= CONFIG.risk.maxAccountDailyLoss) {
+      return {
+        scope: 'account',
+        title: 'Account Loss Limit',
+        message: `Account daily loss limit of ${Utils.formatCurrency(CONFIG.risk.maxAccountDailyLoss)} reached. All trading paused.`
+      };
+    }
+
+    // Check consecutive losses  
+    if (consecutiveLosses >= CONFIG.risk.maxConsecutiveLosses) {  
+      return {
+        scope: 'symbol',
+        title: 'Risk Limit Reached',
+        message: `Max consecutive losses (${CONFIG.risk.maxConsecutiveLosses}) reached. Trading paused.`
+      };
     }  
 
     // Check daily loss limit  
-    if (this.dailyLoss >= CONFIG.risk.maxDailyLoss) {  
-      this.showModal('warning', 'Daily Loss Limit',   
-        `Daily loss limit of ${Utils.formatCurrency(CONFIG.risk.maxDailyLoss)} reached. Trading paused.`);  
-      CONFIG.trading.autoTrade = false;  
-      document.getElementById('autoTrade').checked = false;  
-      return false;  
+    if (dailyLoss >= CONFIG.risk.maxDailyLoss) {  
+      return {
+        scope: 'symbol',
+        title: 'Daily Loss Limit',
+        message: `Daily loss limit of ${Utils.formatCurrency(CONFIG.risk.maxDailyLoss)} reached. Trading paused.`
+      };
     }  
 
-    return true;  
-  }  
+    return null;
+  }
+
+  /**
+   * Update session P&L from stored trades and halt auto-trading on a breached limit
+   */
+  async checkSessionLimits() {
+    let violation = null;
+    try {
+      violation = await RiskManager.update();
+    } catch (error) {
+      Utils.log('Failed to update session risk', 'error', error);
+    }
+
+    if (violation) {
+      CONFIG.trading.autoTrade = false;
+      document.getElementById('autoTrade').checked = false;
+      this.showModal('warning', violation.title, `${violation.message} Reset session limits in Settings to resume.`);
+      Utils.notify(violation.title, violation.message, 'warning');
+    }
+    this.updateRiskStatus();
+  }
+
+  /**
+   * Resume after a session limit: measure a new session from current equity
+   */
+  resetSessionLimits() {
+    if (!RiskManager.session) {
+      this.showModal('info', 'No Session', 'Connect to start a risk session');
+      return;
+    }
+
+    RiskManager.reset();
+    this.updateRiskStatus();
+    Utils.notify('Session Reset', 'Session limits reset. Re-enable Auto Trade to resume.', 'info');
+  }
+
+  /**
+   * Show session P&L, drawdown and halt state in the Settings risk section
+   */
+  updateRiskStatus() {
+    const el = document.getElementById('sessionRiskStatus');
+    const status = RiskManager.getStatus();
+    if (!el || !status) return;
+
+    const sign = status.pnl >= 0 ? '+' : '';
+    el.textContent = `Session P&L ${sign}${Utils.formatCurrency(status.pnl)} (${sign}${status.pnlPercentage.toFixed(2)}%), ` +
+      `drawdown ${status.drawdownPercentage.toFixed(2)}%` +
+      (status.halted ? ` · HALTED: ${status.haltReason.title}` : '');
+  }
 
   /**  
    * Handle emergency stop  
@@ -992,11 +1802,35 @@ class DerivBot {
     document.getElementById('winRate').textContent = `${performance.winRate.toFixed(1)}%`;  
     document.getElementById('totalPnL').textContent = Utils.formatCurrency(performance.totalPnL);  
     document.getElementById('accuracy').textContent = `${performance.winRate.toFixed(1)}%`;  
+    this.updateStakingDisplay();
 
     // Update chart  
     this.updateModelChart();  
   }  
 
+  /**
+   * Show the staking strategy and the dashboard symbol's progression level
+   */
+  updateStakingDisplay() {
+    const valueEl = document.getElementById('stakeProgression');
+    if (!valueEl) return;
+
+    const state = Staking.getState(this.currentSymbol);
+    const nextStake = this.calculateStake({ symbol: this.currentSymbol });
+    document.getElementById('stakeStrategy').textContent = Staking.getStrategy(state.strategy).label;
+    valueEl.textContent = Staking.describe(state);
+    valueEl.title = `Next stake ${Utils.formatCurrency(nextStake)}`;
+  }
+
+  /**
+   * Show only the parameters of the selected staking strategy
+   */
+  updateStakingParams() {
+    document.querySelectorAll('[data-staking-strategy]').forEach(el => {
+      el.hidden = el.dataset.stakingStrategy !== CONFIG.trading.staking.strategy;
+    });
+  }
+
   /**  
    * Update history table  
    */  
@@ -1027,6 +1861,89 @@ class DerivBot {
     });  
   }  
 
+  /**
+   * Fill the order journal table from the journal filters
+   */
+  async updateJournalTable() {
+    const tbody = document.getElementById('journalTableBody');
+    if (!tbody) return;
+
+    const date = document.getElementById('journalDate').value;
+    const entries = await TradeJournal.query({
+      state: document.getElementById('journalState').value || null,
+      symbol: document.getElementById('journalSymbol').value.trim() || null,
+      from: date ? new Date(`${date}T00:00:00`).getTime() : undefined,
+      to: date ? new Date(`${date}T23:59:59.999`).getTime() : undefined
+    });
+
+    // Symbols come from user input and API payloads, so build cells as text
+    tbody.innerHTML = '';
+    entries.forEach(entry => {
+      const row = tbody.insertRow();
+      row.className = 'journal-row';
+      [
+        Utils.formatDateTime(entry.timestamp / 1000),
+        entry.symbol,
+        entry.contract?.label ?? '',
+        Utils.formatCurrency(entry.stake)
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+
+      const badge = document.createElement('span');
+      badge.className = `trade-result order-${entry.state}`;
+      badge.textContent = entry.state.toUpperCase();
+      row.insertCell().appendChild(badge);
+
+      const pnl = row.insertCell();
+      if (entry.profit !== null) {
+        pnl.textContent = Utils.formatCurrency(entry.profit);
+        pnl.className = entry.profit >= 0 ? 'text-success' : 'text-danger';
+      }
+
+      row.addEventListener('click', () => {
+        tbody.querySelectorAll('.selected').forEach(r => r.classList.remove('selected'));
+        row.classList.add('selected');
+        this.showJournalEntry(entry);
+      });
+    });
+  }
+
+  /**
+   * Show an order's steps and the prediction that triggered it
+   */
+  showJournalEntry(entry) {
+    const detail = document.getElementById('journalDetail');
+    if (!detail) return;
+
+    const formatTime = ms => new Date(ms).toLocaleTimeString('en-US', { hour12: false }) + `.${String(ms % 1000).padStart(3, '0')}`;
+    const { prediction } = entry;
+    const lines = [
+      `Order ${entry.id}${entry.simulated ? ' (simulated)' : ''}`,
+      `${entry.symbol} ${entry.contract?.label ?? ''}, stake ${Utils.formatCurrency(entry.stake)}, ${entry.duration} tick(s)`,
+      entry.contractId ? `Contract ${entry.contractId}` : null,
+      '',
+      `Prediction: ${prediction.finalPrediction} at ${(prediction.confidence * 100).toFixed(1)}%`,
+      prediction.reason ? `Reason: ${prediction.reason}` : null,
+      prediction.scores ? `Scores: ${JSON.stringify(prediction.scores)}` : null,
+      ...prediction.modelBreakdown.map(p =>
+        `  ${p.model}: ${p.prediction ?? '-'} ${((p.confidence ?? 0) * 100).toFixed(1)}%${p.reason ? ` (${p.reason})` : ''}`),
+      '',
+      'Steps:'
+    ];
+
+    entry.steps.forEach(step => {
+      let line = `  ${formatTime(step.at)}  ${step.state.toUpperCase()}`;
+      if (step.reason) line += ` - ${step.reason}`;
+      if (step.error) line += ` - ${step.error.code || 'Error'}: ${step.error.message}`;
+      lines.push(line);
+      if (step.request) lines.push(`    request:  ${JSON.stringify(step.request)}`);
+      if (step.response) lines.push(`    response: ${JSON.stringify(step.response)}`);
+    });
+
+    detail.textContent = lines.filter(line => line !== null).join('\n');
+  }
+
   /**  
    * Setup charts  
    */  
@@ -1044,6 +1961,14 @@ class DerivBot {
             borderColor: 'rgb(102, 126, 234)',  
             backgroundColor: 'rgba(102, 126, 234, 0.1)',  
             tension: 0.4  
+          }, {
+            label: 'Drift',
+            data: [],
+            showLine: false,
+            pointStyle: 'triangle',
+            pointRadius: 8,
+            borderColor: 'rgb(239, 68, 68)',
+            backgroundColor: 'rgba(239, 68, 68, 0.8)'
           }]  
         },  
         options: {  
@@ -1065,15 +1990,17 @@ class DerivBot {
       this.charts.model = new Chart(modelCtx, {  
         type: 'bar',  
         data: {  
-          labels: ['Statistical', 'Pattern', 'Rule-Based', 'RL'],  
+          labels: ['Statistical', 'Pattern', 'Rule-Based', 'RL', 'Distribution', 'Markov'],  
           datasets: [{  
             label: 'Accuracy (%)',  
-            data: [0, 0, 0, 0],  
+            data: [0, 0, 0, 0, 0, 0],  
             backgroundColor: [  
               'rgba(102, 126, 234, 0.8)',  
               'rgba(16, 185, 129, 0.8)',  
               'rgba(245, 158, 11, 0.8)',  
-              'rgba(239, 68, 68, 0.8)'  
+              'rgba(239, 68, 68, 0.8)',  
+              'rgba(139, 92, 246, 0.8)',
+              'rgba(14, 165, 233, 0.8)'
             ]  
           }]  
         },  
@@ -1096,11 +2023,14 @@ class DerivBot {
       const chart = this.charts.tick;  
       chart.data.labels.push(Utils.formatTime(tick.timestamp));  
       chart.data.datasets[0].data.push(tick.digit);  
+      chart.data.datasets[1].data.push(
+        DriftDetector.getEventsAt(tick.symbol, tick.timestamp).length > 0 ? tick.digit : null);
 
       // Keep only last 50 points  
       if (chart.data.labels.length > 50) {  
         chart.data.labels.shift();  
         chart.data.datasets[0].data.shift();  
+        chart.data.datasets[1].data.shift();
       }  
 
       chart.update('none'); // Update without animation for performance  
@@ -1117,7 +2047,9 @@ class DerivBot {
         models.statistical?.accuracy || 0,  
         models.pattern?.accuracy || 0,  
         models.ruleBased?.accuracy || 0,  
-        models.reinforcementLearning?.accuracy || 0  
+        models.reinforcementLearning?.accuracy || 0,  
+        models.distribution?.accuracy || 0,
+        models.markov?.accuracy || 0
       ];  
       this.charts.model.update();  
     }  
@@ -1125,12 +2057,16 @@ class DerivBot {
 
   /**  
    * Send message through WebSocket with retry capability
+   * @returns {number|null} req_id attached to the message, or null if not sent
    */  
   sendMessage(message) {  
+    const request = { ...message, req_id: message.req_id ?? this.nextReqId++ };
+
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {  
       try {
-        this.ws.send(JSON.stringify(message));  
-        Utils.log('Sent message', 'debug', message);
+        this.ws.send(JSON.stringify(request));  
+        Utils.log('Sent message', 'debug', request);
+        return request.req_id;
       } catch (error) {
         Utils.log('Failed to send message', 'error', error);
         
@@ -1148,8 +2084,74 @@ class DerivBot {
         this.attemptReconnection('WebSocket not connected');
       }
     }  
+
+    return null;
   }  
 
+  /**
+   * Send an API call and resolve with its response
+   *
+   * Rejects with the API error, on timeout (CONFIG.api.requestTimeout) or
+   * when the connection closes first.
+   */
+  sendRequest(message, { timeout = CONFIG.api.requestTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        reject(this.createApiError('NotConnected', 'WebSocket not connected'));
+        return;
+      }
+
+      const reqId = this.nextReqId++;
+      const type = Object.keys(message)[0];
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(reqId);
+        reject(this.createApiError('RequestTimeout', `No response to ${type} within ${timeout / 1000}s`));
+      }, timeout);
+
+      this.pendingRequests.set(reqId, { resolve, reject, timer, request: message });
+
+      if (this.sendMessage({ ...message, req_id: reqId }) === null && this.pendingRequests.has(reqId)) {
+        this.pendingRequests.delete(reqId);
+        clearTimeout(timer);
+        reject(this.createApiError('NotConnected', `Failed to send ${type}`));
+      }
+    });
+  }
+
+  /**
+   * Reject every request still waiting for a response
+   */
+  rejectPendingRequests(reason) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(this.createApiError('ConnectionClosed', reason));
+    });
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Build an Error carrying the API error code and raw response
+   */
+  createApiError(code, message, response = null) {
+    const error = new Error(message);
+    error.code = code;
+    error.response = response;
+    return error;
+  }
+
+  /**
+   * Report a failed request; connection loss is left to the reconnect logic
+   */
+  handleRequestFailure(context, error) {
+    if (['ConnectionClosed', 'NotConnected'].includes(error.code)) {
+      Utils.log(`${context}: ${error.message}`, 'warn');
+      return;
+    }
+
+    Utils.log(context, 'error', error);
+    this.handleError(error);
+  }
+
   /**  
    * Handle disconnect  
    */  
@@ -1222,6 +2224,10 @@ class DerivBot {
       'Are you sure you want to clear all trade history? This cannot be undone.',  
       () => {  
         Storage.clearAll();  
+        // Drop the engine's in-memory model state too, or it would be saved back
+        AnalysisClient.reload();
+        DriftDetector.reset();
+        Staking.reset();
         this.updateStatsDisplay();  
         this.updateHistoryTable();  
         Utils.notify('History Cleared', 'All data has been cleared', 'success');  
@@ -1252,10 +2258,13 @@ class DerivBot {
       CONFIG.trading.minConfidence = settings.minConfidence;  
       CONFIG.risk.maxConsecutiveLosses = settings.maxConsecutiveLosses;  
       CONFIG.risk.cooldownPeriod = settings.cooldownPeriod;  
-      CONFIG.trading.adaptiveStaking = settings.adaptiveStaking;  
+      CONFIG.trading.staking.strategy = settings.staking;
 
       // Update UI  
-      document.getElementById('minConfidence').value = settings.minConfidence;  
+      SettingsManager.refresh();
+      SettingsManager.save();
+      this.updateStakingParams();
+      this.updateStakingDisplay();
       document.getElementById('minConfidenceValue').textContent = `${settings.minConfidence}%`;  
 
       Utils.notify('Strategy Applied', `${preset.charAt(0).toUpperCase() + preset.slice(1)} strategy activated`, 'success');  
@@ -1279,11 +2288,44 @@ class DerivBot {
     // Load view-specific data  
     if (viewName === 'history') {  
       this.updateHistoryTable();  
+      this.updateJournalTable();
     } else if (viewName === 'models') {  
       this.updateModelAnalytics();  
-    }  
+      this.updateCalibrationView();
+      this.renderModelConfig();
+    } else if (viewName === 'backtest') {
+      this.populateBacktestSymbols();
+    } else if (viewName === 'settings') {
+      this.updateStorageUsage();
+    }
   }  
 
+  /**
+   * Show localStorage use per entry and the compression ratio of each
+   * (records kept in IndexedDB are not counted)
+   */
+  updateStorageUsage() {
+    const tbody = document.getElementById('storageUsageBody');
+    if (!tbody) return;
+
+    const size = Storage.getStorageSize();
+    const formatSize = (chars) => `${(chars / 1024).toFixed(1)}k chars`;
+    document.getElementById('storageUsage').textContent =
+      `localStorage: ${formatSize(size.total)} stored, ${formatSize(size.raw)} uncompressed, ` +
+      `ratio ${size.ratio.toFixed(2)}×${CONFIG.storage.compressionEnabled ? '' : ' (compression off)'}`;
+
+    // Keys include symbol names, so cells are filled as text
+    tbody.innerHTML = '';
+    Object.entries(size.entries)
+      .sort(([, a], [, b]) => b.stored - a.stored)
+      .forEach(([key, entry]) => {
+        const row = tbody.insertRow();
+        [key, formatSize(entry.stored), formatSize(entry.raw), `${entry.ratio.toFixed(2)}×`].forEach(text => {
+          row.insertCell().textContent = text;
+        });
+      });
+  }
+
   /**  
    * Update model analytics view  
    */  
@@ -1309,6 +2351,338 @@ class DerivBot {
     });
   }
 
+  /**
+   * Brier score, log loss and reliability diagram per model
+   */
+  updateCalibrationView() {
+    const tbody = document.getElementById('calibrationMetrics');
+    if (!tbody) return;
+
+    const metrics = Object.keys(Storage.getModels())
+      .map(model => ({ model, ...Calibration.getMetrics(model) }))
+      .filter(m => m.samples > 0);
+    const format = value => value === null ? '-' : value.toFixed(4);
+
+    tbody.innerHTML = metrics.length === 0
+      ? '<tr><td colspan="5" style="text-align: center;">No settled predictions yet</td></tr>'
+      : metrics.map(m => `
+        <tr>
+          <td>${m.model}</td>
+          <td>${m.samples}</td>
+          <td>${m.method || 'not fitted'}</td>
+          <td>${format(m.brierRaw)} → ${format(m.brierCalibrated)}</td>
+          <td>${format(m.logLossRaw)} → ${format(m.logLossCalibrated)}</td>
+        </tr>
+      `).join('');
+
+    const ctx = document.getElementById('reliabilityChart')?.getContext('2d');
+    if (!ctx) return;
+
+    const colors = ['59, 130, 246', '16, 185, 129', '245, 158, 11', '239, 68, 68', '139, 92, 246', '236, 72, 153'];
+    const datasets = [
+      {
+        label: 'Perfect calibration',
+        data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+        borderColor: 'rgba(148, 163, 184, 0.8)',
+        borderDash: [5, 5],
+        showLine: true,
+        pointRadius: 0
+      },
+      ...metrics.map((m, i) => ({
+        label: m.model,
+        data: m.reliability.map(bin => ({ x: bin.predicted, y: bin.observed })),
+        borderColor: `rgb(${colors[i % colors.length]})`,
+        backgroundColor: `rgba(${colors[i % colors.length]}, 0.5)`,
+        showLine: true
+      }))
+    ];
+
+    if (this.charts.reliability) {
+      this.charts.reliability.data.datasets = datasets;
+      this.charts.reliability.update();
+      return;
+    }
+
+    this.charts.reliability = new Chart(ctx, {
+      type: 'scatter',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { min: 0, max: 1, title: { display: true, text: 'Predicted probability' } },
+          y: { min: 0, max: 1, title: { display: true, text: 'Observed accuracy' } }
+        }
+      }
+    });
+  }
+
+  /**
+   * Build the parameter editor for each model from the settings schema
+   * Values on opening the view are the baseline that previews compare against.
+   */
+  renderModelConfig() {
+    const container = document.getElementById('modelConfig');
+    if (!container) return;
+
+    const titles = {
+      statistical: 'Statistical Probability',
+      pattern: 'Pattern Recognition',
+      ruleBased: 'Rule-Based',
+      reinforcementLearning: 'Reinforcement Learning',
+      distribution: 'Digit Distribution',
+      markov: 'Markov Chain'
+    };
+    this.modelConfigBaseline = Utils.deepClone(CONFIG.models);
+
+    container.innerHTML = `
+      <div class="input-group">
+        <label for="modelPreviewTicks">Preview Over Last N Ticks</label>
+        <input type="number" id="modelPreviewTicks" value="500" min="50" max="5000" step="50">
+      </div>
+      <div class="settings-grid">
+        ${Object.entries(titles).map(([model, title]) => `
+          <div class="setting-group" data-model="${model}">
+            <h3>${title}</h3>
+            ${Object.entries(SettingsManager.schema)
+              .filter(([path, rule]) => path.startsWith(`models.${model}.`) && rule.label)
+              .map(([path, rule]) => `
+                <div class="input-group">
+                  <label>${rule.label}</label>
+                  <input type="number" data-path="${path}" value="${SettingsManager.getPath(CONFIG, path)}"
+                    min="${rule.min}" max="${rule.max}" step="${rule.step}">
+                </div>
+              `).join('')}
+            <div class="data-controls">
+              <button class="btn btn-secondary" data-action="reset">Reset to Defaults</button>
+              <button class="btn btn-primary" data-action="preview">Preview</button>
+            </div>
+            <div class="trade-reason" data-preview></div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    container.querySelectorAll('input[data-path]').forEach(input => {
+      input.addEventListener('change', () => this.handleModelParamChange(input));
+    });
+    container.querySelectorAll('[data-model]').forEach(group => {
+      const model = group.dataset.model;
+      group.querySelector('[data-action="reset"]').addEventListener('click', () => this.resetModelConfig(model));
+      group.querySelector('[data-action="preview"]').addEventListener('click', () => this.previewModelConfig(model));
+    });
+  }
+
+  /**
+   * Apply an edited model parameter; Analysis reads CONFIG.models on every prediction
+   */
+  handleModelParamChange(input) {
+    const path = input.dataset.path;
+    const error = SettingsManager.set(path, parseFloat(input.value));
+
+    if (error) {
+      input.value = SettingsManager.getPath(CONFIG, path);
+      Utils.notify('Invalid Parameter', error, 'warning');
+    }
+  }
+
+  resetModelConfig(model) {
+    SettingsManager.resetToDefaults(`models.${model}.`);
+    document.querySelectorAll(`#modelConfig [data-model="${model}"] input[data-path]`).forEach(input => {
+      input.value = SettingsManager.getPath(CONFIG, input.dataset.path);
+    });
+    Utils.notify('Model Reset', `${model} parameters restored to defaults`, 'info');
+  }
+
+  /**
+   * Replay the model over the last N stored ticks of the active symbol, with the
+   * parameters from when the view was opened and with the current ones (in the
+   * analysis worker, so the page stays responsive)
+   */
+  async previewModelConfig(model) {
+    const output = document.querySelector(`#modelConfig [data-model="${model}"] [data-preview]`);
+    const count = parseInt(document.getElementById('modelPreviewTicks').value) || 500;
+    const symbol = this.currentSymbol || Storage.getRecentTicks(1)[0]?.symbol || null;
+
+    output.textContent = 'Replaying stored ticks...';
+    const ticks = (await Storage.queryTicks({ symbol, limit: count, reverse: true })).reverse();
+
+    if (ticks.length < 50) {
+      output.textContent = `Not enough stored ticks${symbol ? ` for ${symbol}` : ''} (${ticks.length})`;
+      return;
+    }
+
+    let baseline;
+    let proposed;
+    try {
+      ({ baseline, proposed } = await AnalysisClient.previewModelConfig(
+        model, ticks, this.modelConfigBaseline[model], CONFIG.models[model]
+      ));
+    } catch (error) {
+      Utils.log('Model preview failed', 'error', error);
+      output.textContent = `Preview failed: ${error.message}`;
+      return;
+    }
+    const describe = (r) => `${r.accuracy.toFixed(1)}% on ${r.predictions} predictions`;
+    const change = proposed.accuracy - baseline.accuracy;
+
+    output.textContent = `Last ${ticks.length} ${symbol || ''} ticks: before edits ${describe(baseline)}, ` +
+      `current ${describe(proposed)} (${change >= 0 ? '+' : ''}${change.toFixed(1)} pts)`;
+  }
+
+  /**
+   * Load the tick series selected in the Backtest view
+   * @param {Object} [filter] - { symbol, startDate, endDate } (dates as YYYY-MM-DD)
+   */
+  async loadBacktestTicks(filter = {}) {
+    const source = document.getElementById('backtestSource').value;
+
+    if (source === 'file') {
+      const file = document.getElementById('backtestFile').files[0];
+      if (!file) return [];
+      return Backtest.filterTicks(Backtest.parseTickFile(await file.text()), filter);
+    }
+
+    // Query the backend: the in-memory window only holds the latest ticks of all symbols
+    const { from, to } = Backtest.dateRange(filter.startDate, filter.endDate);
+    return Backtest.normalizeTicks(await Storage.queryTicks({ symbol: filter.symbol || null, from, to }));
+  }
+
+  /**
+   * Fill the backtest symbol filter from the selected tick source
+   */
+  async populateBacktestSymbols() {
+    const select = document.getElementById('backtestSymbol');
+    if (!select) return;
+
+    // Stored ticks are not read in full just to list their symbols
+    let ticks = Storage.getTicks();
+    if (document.getElementById('backtestSource').value === 'file') {
+      try {
+        ticks = await this.loadBacktestTicks();
+      } catch (error) {
+        Utils.log('Failed to read backtest ticks', 'error', error);
+        ticks = [];
+      }
+    }
+
+    // One symbol per run: interleaved symbols are not one digit series
+    const symbols = [...new Set(ticks.map(t => t.symbol).filter(Boolean))];
+    const selected = [select.value, this.currentSymbol].find(symbol => symbols.includes(symbol)) || symbols[0] || '';
+    select.innerHTML = symbols.length > 0
+      ? symbols.map(symbol => `<option value="${symbol}">${CONFIG.symbols[symbol]?.name || symbol}</option>`).join('')
+      : '<option value="">No symbols found</option>';
+    select.value = selected;
+  }
+
+  /**
+   * Run a walk-forward backtest with the current configuration
+   */
+  async runBacktest() {
+    const status = document.getElementById('backtestStatus');
+    const runBtn = document.getElementById('runBacktest');
+
+    let ticks;
+    try {
+      ticks = await this.loadBacktestTicks({
+        symbol: document.getElementById('backtestSymbol').value || null,
+        startDate: document.getElementById('backtestStart').value || null,
+        endDate: document.getElementById('backtestEnd').value || null
+      });
+    } catch (error) {
+      Utils.log('Failed to load backtest ticks', 'error', error);
+      this.showModal('error', 'Backtest Failed', `Could not read tick data: ${error.message}`);
+      return;
+    }
+
+    if (ticks.length < 30) {
+      this.showModal('warning', 'Not Enough Data', `Backtest needs at least 30 ticks, got ${ticks.length}`);
+      return;
+    }
+
+    runBtn.disabled = true;
+    try {
+      const result = await Backtest.run(ticks, {
+        calculateStake: (context) => this.calculateStake(context),
+        getRiskViolation: (context) => this.getRiskViolation(context),
+        windowSize: parseInt(document.getElementById('backtestWindow').value) || CONFIG.storage.maxHistorySize,
+        payoutRatio: parseFloat(document.getElementById('backtestPayout').value) || CONFIG.trading.defaultPayoutRatio,
+        onProgress: (processed, total) => {
+          status.textContent = `Replaying ticks... ${processed}/${total}`;
+        }
+      });
+
+      status.textContent = result.haltReason
+        ? `Halted by risk management after ${result.totalTrades} trades — ${result.haltReason}`
+        : `Replayed ${result.ticksProcessed} ticks, ${result.signals} trade signals`;
+      this.renderBacktestResults(result);
+      Utils.log('Backtest completed', 'info', { ...result, trades: undefined, equityCurve: undefined });
+    } catch (error) {
+      Utils.log('Backtest failed', 'error', error);
+      this.showModal('error', 'Backtest Failed', error.message);
+    } finally {
+      runBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Render backtest statistics and equity curve
+   */
+  renderBacktestResults(result) {
+    const container = document.getElementById('backtestResults');
+    const stats = [
+      ['Trades', result.totalTrades],
+      ['Win Rate', `${result.winRate.toFixed(1)}%`],
+      ['Total P&L', Utils.formatCurrency(result.totalPnL)],
+      ['Max Drawdown', Utils.formatCurrency(result.maxDrawdown)],
+      ['Sharpe Ratio', result.sharpeRatio.toFixed(3)],
+      ['Profit Factor', result.profitFactor.toFixed(2)]
+    ];
+
+    container.innerHTML = stats.map(([label, value]) => `
+      <div class="model-stat">
+        <h4>${label}</h4>
+        <div class="model-stat-value">${value}</div>
+      </div>
+    `).join('');
+
+    const ctx = document.getElementById('equityChart')?.getContext('2d');
+    if (!ctx) return;
+
+    const labels = result.equityCurve.map(point => Utils.formatDateTime(point.timestamp));
+    const data = result.equityCurve.map(point => parseFloat(point.equity.toFixed(2)));
+
+    if (this.charts.equity) {
+      this.charts.equity.data.labels = labels;
+      this.charts.equity.data.datasets[0].data = data;
+      this.charts.equity.update();
+      return;
+    }
+
+    this.charts.equity = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Equity',
+          data,
+          borderColor: 'rgb(16, 185, 129)',
+          backgroundColor: 'rgba(16, 185, 129, 0.1)',
+          fill: true,
+          tension: 0.2,
+          pointRadius: 0
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false }
+        }
+      }
+    });
+  }
+
   /** 
    * Toggle theme 
    */ 
@@ -1318,7 +2692,7 @@ class DerivBot {
 
     document.documentElement.setAttribute('data-theme', newTheme); 
     CONFIG.ui.theme = newTheme; 
-    Storage.saveSettings(CONFIG); 
+    SettingsManager.save();
 
     Utils.notify('Theme Changed', `Switched to ${newTheme} mode`, 'info'); 
   } 
@@ -1328,7 +2702,7 @@ class DerivBot {
    */ 
   toggleNotifications() { 
     CONFIG.ui.notificationsEnabled = !CONFIG.ui.notificationsEnabled; 
-    Storage.saveSettings(CONFIG); 
+    SettingsManager.save();
 
     const status = CONFIG.ui.notificationsEnabled ? 'enabled' : 'disabled'; 
     Utils.notify('Notifications', `Notifications ${status}`, 'info'); 
@@ -1409,27 +2783,132 @@ class DerivBot {
   } 
 
   /** 
-   * Load saved settings 
+   * Load saved settings into CONFIG and the form controls
    */ 
   loadSavedSettings() { 
-    const savedSettings = Storage.getSettings(); 
-    if (savedSettings && savedSettings.trading) { 
-      Object.assign(CONFIG, savedSettings); 
+    SettingsManager.load();
+    SettingsManager.refresh();
+    this.populateProfiles();
 
-      // Apply to UI   
-      document.getElementById('baseStake').value = CONFIG.trading.baseStake;   
-      document.getElementById('minConfidence').value = CONFIG.trading.minConfidence;   
-      document.getElementById('minConfidenceValue').textContent = `${CONFIG.trading.minConfidence}%`;   
-      document.getElementById('autoTrade').checked = CONFIG.trading.autoTrade;   
-      document.getElementById('simulationMode').checked = CONFIG.trading.simulationMode;   
-      document.getElementById('adaptiveStaking').checked = CONFIG.trading.adaptiveStaking;   
+    document.getElementById('minConfidenceValue').textContent = `${CONFIG.trading.minConfidence}%`;   
+    document.documentElement.setAttribute('data-theme', CONFIG.ui.theme); 
+    this.updateStakingParams();
 
-      // Apply theme   
-      document.documentElement.setAttribute('data-theme', CONFIG.ui.theme); 
-
-    } 
+    // Model and staking state may have been replaced (restore, sync)
+    AnalysisClient.reload();
+    Staking.load();
   } 
 
+  /**
+   * React to a setting changed through its form control
+   */
+  handleSettingChange(path, value) {
+    switch (path) {
+      case 'trading.minConfidence':
+        document.getElementById('minConfidenceValue').textContent = `${value}%`;
+        break;
+      case 'trading.autoTrade':
+      case 'trading.simulationMode':
+        this.updateUI();
+        break;
+      case 'strategy.type':
+        this.applyStrategyPreset(value);
+        break;
+      case 'trading.staking.strategy':
+        this.updateStakingParams();
+        this.updateStakingDisplay();
+        break;
+      case 'schedule.timezone':
+        this.checkSchedule();
+        this.restoreDailyLoss()
+          .catch(e => Utils.log('Failed to restore daily loss', 'error', e));
+        break;
+      default:
+        if (path.startsWith('trading.staking.') || path === 'trading.baseStake') {
+          this.updateStakingDisplay();
+        } else if (path.startsWith('schedule.')) {
+          this.checkSchedule();
+        }
+    }
+  }
+
+  /**
+   * Fill the profile selector with the stored setting profiles
+   */
+  populateProfiles() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+
+    // Names come from imported files, so build options without innerHTML
+    const names = Object.keys(SettingsManager.getProfiles()).sort();
+    select.innerHTML = '';
+    if (names.length === 0) {
+      select.add(new Option('No saved profiles', ''));
+    }
+    names.forEach(name => select.add(new Option(name, name)));
+  }
+
+  saveSettingsProfile() {
+    const name = document.getElementById('profileName').value.trim();
+    if (!name) {
+      Utils.notify('Profile', 'Enter a profile name', 'warning');
+      return;
+    }
+
+    SettingsManager.saveProfile(name);
+    this.populateProfiles();
+    document.getElementById('profileSelect').value = name;
+    Utils.notify('Profile Saved', `Settings saved as "${name}"`, 'success');
+  }
+
+  loadSettingsProfile() {
+    const name = document.getElementById('profileSelect').value;
+    if (!name || !SettingsManager.loadProfile(name)) return;
+
+    SettingsManager.refresh();
+    document.getElementById('minConfidenceValue').textContent = `${CONFIG.trading.minConfidence}%`;
+    document.documentElement.setAttribute('data-theme', CONFIG.ui.theme);
+    this.updateUI();
+    Utils.notify('Profile Loaded', `Settings profile "${name}" applied`, 'success');
+  }
+
+  exportSettingsProfile() {
+    const name = document.getElementById('profileSelect').value;
+    if (name) SettingsManager.exportProfile(name);
+  }
+
+  deleteSettingsProfile() {
+    const name = document.getElementById('profileSelect').value;
+    if (!name) return;
+
+    this.showModal('confirm', 'Delete Profile', `Delete settings profile "${name}"?`, () => {
+      SettingsManager.deleteProfile(name);
+      this.populateProfiles();
+    });
+  }
+
+  async importSettingsProfile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+      const { name, errors } = SettingsManager.importProfile(await file.text());
+      this.populateProfiles();
+      document.getElementById('profileSelect').value = name;
+
+      if (errors.length > 0) {
+        Utils.notify('Profile Imported', `"${name}" imported; ${errors.length} invalid setting(s) reset to defaults`, 'warning');
+      } else {
+        Utils.notify('Profile Imported', `Settings profile "${name}" imported`, 'success');
+      }
+    } catch (error) {
+      Utils.log('Failed to import settings profile', 'error', error);
+      Utils.notify('Import Failed', error.message, 'error');
+    } finally {
+      input.value = '';
+    }
+  }
+
   /** 
    * Update UI with current state 
    */ 
@@ -1510,26 +2989,14 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Auto-save settings periodically 
   setInterval(() => { 
-    Storage.saveSettings(CONFIG); 
+    SettingsManager.save();
   }, 60000); // Every minute 
 
-  // Reset daily loss at midnight 
-  const now = new Date(); 
-  const tomorrow = new Date(now); 
-  tomorrow.setDate(tomorrow.getDate() + 1); 
-  tomorrow.setHours(0, 0, 0, 0); 
-  const msUntilMidnight = tomorrow.getTime() - now.getTime(); 
-
-  setTimeout(() => { 
-    bot.dailyLoss = 0; 
-    Utils.notify('Daily Reset', 'Daily loss counter has been reset', 'info'); 
-
-    // Set up daily interval   
-    setInterval(() => {   
-      bot.dailyLoss = 0;   
-    }, 86400000); // 24 hours 
-
-  }, msUntilMidnight);
+  // Roll the trading day and schedule over. Polling rather than a midnight timer
+  // keeps the reset correct when the machine sleeps or the timezone changes.
+  setInterval(() => {
+    bot.checkSchedule();
+  }, 30000); // Every 30 seconds
   
   // Monitor connection health and display
   setInterval(() => {
@@ -1547,7 +3014,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // Cleanup on page unload 
 window.addEventListener('beforeunload', () => { 
   if (bot) { 
-    Storage.saveSettings(CONFIG); 
+    SettingsManager.save();
+    AnalysisClient.flush();
     bot.destroy(); 
   } 
 }); 
@@ -1558,6 +3026,7 @@ document.addEventListener('visibilitychange', () => {
     Utils.log('Tab hidden - connection maintained but consider pausing trades', 'info'); 
   } else { 
     Utils.log('Tab visible - resuming', 'info'); 
+    bot?.checkSchedule();
     
     // Check connection health when tab becomes visible again
     if (bot && bot.isConnected && bot.ws) {
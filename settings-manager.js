@@ -0,0 +1,477 @@
+// settings-manager.js - Persisted Settings, Form Bindings and Profiles
+
+const SettingsManager = {
+    // Factory defaults, captured before any saved settings are applied
+    defaults: Utils.deepClone(CONFIG),
+
+    /**
+     * User-editable settings by CONFIG path. Only these are persisted and restored;
+     * everything else in CONFIG always comes from config.js. Settings marked
+     * `persist: false` are editable but never saved, so every page load starts
+     * from their config.js value.
+     */
+    schema: {
+        'trading.baseStake': { type: 'number', min: 0.35, max: 100 },
+        'trading.minConfidence': { type: 'integer', min: 50, max: 100 },
+        'trading.minPayoutRatio': { type: 'number', min: 1, max: 10 },
+        'trading.contractFamily': { type: 'enum', values: ['evenOdd', 'matchesDiffers', 'overUnder'] },
+        'trading.barrier': { type: 'integer', min: 0, max: 9 },
+        'trading.minExpectedReturn': { type: 'number', min: -1, max: 10 },
+        'trading.autoTrade': { type: 'boolean', persist: false },
+        'trading.simulationMode': { type: 'boolean' },
+        'trading.staking.strategy': {
+            type: 'enum',
+            values: ['fixed', 'fixedFraction', 'martingale', 'paroli', 'dalembert', 'fibonacci', 'oscarsGrind', 'kelly']
+        },
+        'trading.staking.fixedFraction.fraction': { type: 'number', min: 0.001, max: 0.5 },
+        'trading.staking.martingale.multiplier': { type: 'number', min: 1.01, max: 10 },
+        'trading.staking.martingale.maxLevels': { type: 'integer', min: 0, max: 20 },
+        'trading.staking.paroli.multiplier': { type: 'number', min: 1.01, max: 10 },
+        'trading.staking.paroli.maxWins': { type: 'integer', min: 1, max: 10 },
+        'trading.staking.dalembert.unit': { type: 'number', min: 0.1, max: 10 },
+        'trading.staking.fibonacci.maxLevels': { type: 'integer', min: 1, max: 30 },
+        'trading.staking.oscarsGrind.maxUnits': { type: 'integer', min: 1, max: 100 },
+        'trading.staking.kelly.fraction': { type: 'number', min: 0.05, max: 1 },
+        'trading.staking.kelly.maxFraction': { type: 'number', min: 0.001, max: 0.5 },
+
+        'risk.maxDailyLoss': { type: 'number', min: 0 },
+        'risk.maxAccountDailyLoss': { type: 'number', min: 0 },
+        'risk.maxConsecutiveLosses': { type: 'integer', min: 1, max: 100 },
+        'risk.cooldownPeriod': { type: 'number', min: 0, max: 3600 },
+        'risk.stopLossPercentage': { type: 'number', min: 0, max: 100 },
+        'risk.takeProfitPercentage': { type: 'number', min: 0, max: 1000 },
+        'risk.maxDrawdown': { type: 'number', min: 0, max: 100 },
+
+        // Model parameters carry a label and step for the Models view editor
+        'models.statistical.enabled': { type: 'boolean' },
+        'models.statistical.weight': { type: 'number', min: 0, max: 5, step: 0.1, label: 'Weight' },
+        'models.statistical.lookbackPeriod': { type: 'integer', min: 10, max: 1000, step: 10, label: 'Lookback Period (ticks)' },
+        'models.statistical.emaAlpha': { type: 'number', min: 0.01, max: 1, step: 0.01, label: 'EMA Alpha' },
+        'models.pattern.enabled': { type: 'boolean' },
+        'models.pattern.weight': { type: 'number', min: 0, max: 5, step: 0.1, label: 'Weight' },
+        'models.pattern.minPatternLength': { type: 'integer', min: 2, max: 20, step: 1, label: 'Min Pattern Length' },
+        'models.pattern.maxPatternLength': { type: 'integer', min: 2, max: 50, step: 1, label: 'Max Pattern Length' },
+        'models.pattern.similarityThreshold': { type: 'number', min: 0, max: 1, step: 0.05, label: 'Similarity Threshold' },
+        'models.ruleBased.enabled': { type: 'boolean' },
+        'models.ruleBased.weight': { type: 'number', min: 0, max: 5, step: 0.1, label: 'Weight' },
+        'models.ruleBased.streakThreshold': { type: 'integer', min: 2, max: 20, step: 1, label: 'Streak Threshold' },
+        'models.ruleBased.reversalConfidence': { type: 'number', min: 0.5, max: 1, step: 0.01, label: 'Reversal Confidence' },
+        'models.reinforcementLearning.enabled': { type: 'boolean' },
+        'models.reinforcementLearning.weight': { type: 'number', min: 0, max: 5, step: 0.1, label: 'Weight' },
+        'models.reinforcementLearning.learningRate': { type: 'number', min: 0.001, max: 1, step: 0.01, label: 'Learning Rate' },
+        'models.reinforcementLearning.discountFactor': { type: 'number', min: 0, max: 0.999, step: 0.01, label: 'Discount Factor' },
+        'models.reinforcementLearning.explorationRate': { type: 'number', min: 0, max: 1, step: 0.01, label: 'Exploration Rate' },
+        'models.distribution.enabled': { type: 'boolean' },
+        'models.distribution.weight': { type: 'number', min: 0, max: 5, step: 0.1, label: 'Weight' },
+        'models.distribution.significanceLevel': { type: 'number', min: 0.0001, max: 0.2, step: 0.005, label: 'Significance Level' },
+        'models.distribution.minTicks': { type: 'integer', min: 30, max: 1000, step: 10, label: 'Min Ticks' },
+        'models.markov.enabled': { type: 'boolean' },
+        'models.markov.weight': { type: 'number', min: 0, max: 5, step: 0.1, label: 'Weight' },
+        'models.markov.smoothing': { type: 'number', min: 0.01, max: 10, step: 0.1, label: 'Laplace Smoothing' },
+        'models.markov.minObservations': { type: 'integer', min: 1, max: 100, step: 1, label: 'Min Observations per Context' },
+
+        'strategy.type': { type: 'enum', values: ['conservative', 'moderate', 'aggressive', 'custom'] },
+        'strategy.weightMethod': { type: 'enum', values: ['equal', 'performance', 'confidence'] },
+        'strategy.ensembleMethod': { type: 'enum', values: ['voting', 'weighted', 'stacking'] },
+        'strategy.votingThreshold': { type: 'number', min: 0.5, max: 1 },
+        'strategy.stacking.learningRate': { type: 'number', min: 0.0001, max: 1 },
+        'strategy.stacking.regularization': { type: 'number', min: 0, max: 1 },
+        'strategy.stacking.minSamples': { type: 'integer', min: 1 },
+
+        'calibration.enabled': { type: 'boolean' },
+        'calibration.method': { type: 'enum', values: ['isotonic', 'platt'] },
+        'calibration.minSamples': { type: 'integer', min: 20, max: 2000 },
+
+        'drift.enabled': { type: 'boolean' },
+        'drift.hitRate.threshold': { type: 'number', min: 1, max: 500 },
+        'drift.hitRate.minSamples': { type: 'integer', min: 1 },
+        'drift.flipRate.period': { type: 'integer', min: 10, max: 500 },
+        'drift.flipRate.threshold': { type: 'number', min: 0.1, max: 50 },
+        'drift.action': { type: 'enum', values: ['reweight', 'reset'] },
+        'drift.weightPenalty': { type: 'number', min: 0, max: 1 },
+        'drift.recoveryVotes': { type: 'integer', min: 1 },
+        'drift.pauseAutoTrade': { type: 'boolean' },
+
+        'schedule.enabled': { type: 'boolean' },
+        'schedule.timezone': { type: 'string', pattern: /^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/, hint: "must be 'local' or a timezone such as Europe/London" },
+        'schedule.windows': {
+            type: 'string',
+            pattern: /^\s*((daily|(mon|tue|wed|thu|fri|sat|sun)(-(mon|tue|wed|thu|fri|sat|sun))?(,(mon|tue|wed|thu|fri|sat|sun)(-(mon|tue|wed|thu|fri|sat|sun))?)*)\s+([01]?\d|2[0-3]):[0-5]\d\s*-\s*(([01]?\d|2[0-3]):[0-5]\d|24:00)\s*(;\s*|$))*$/i,
+            hint: "must look like 'Mon-Fri 08:00-20:00; Sat,Sun 10:00-14:00'"
+        },
+        'schedule.maxTradesPerSession': { type: 'integer', min: 0 },
+        'schedule.sessionProfitTarget': { type: 'number', min: 0 },
+        'schedule.sessionLossLimit': { type: 'number', min: 0 },
+        'schedule.breakAfterTrades': { type: 'integer', min: 0 },
+        'schedule.breakMinutes': { type: 'integer', min: 1, max: 1440 },
+
+        'ui.theme': { type: 'enum', values: ['light', 'dark'] },
+        'ui.notificationsEnabled': { type: 'boolean' },
+        'ui.soundEnabled': { type: 'boolean' }
+    },
+
+    // Form controls bound two-way to settings: [element id, CONFIG path]
+    bindings: [
+        ['baseStake', 'trading.baseStake'],
+        ['minConfidence', 'trading.minConfidence'],
+        ['minPayoutRatio', 'trading.minPayoutRatio'],
+        ['contractFamily', 'trading.contractFamily'],
+        ['barrier', 'trading.barrier'],
+        ['minExpectedReturn', 'trading.minExpectedReturn'],
+        ['autoTrade', 'trading.autoTrade'],
+        ['simulationMode', 'trading.simulationMode'],
+        ['stakingStrategy', 'trading.staking.strategy'],
+        ['stakingFraction', 'trading.staking.fixedFraction.fraction'],
+        ['martingaleMultiplier', 'trading.staking.martingale.multiplier'],
+        ['martingaleMaxLevels', 'trading.staking.martingale.maxLevels'],
+        ['paroliMultiplier', 'trading.staking.paroli.multiplier'],
+        ['paroliMaxWins', 'trading.staking.paroli.maxWins'],
+        ['dalembertUnit', 'trading.staking.dalembert.unit'],
+        ['fibonacciMaxLevels', 'trading.staking.fibonacci.maxLevels'],
+        ['oscarsGrindMaxUnits', 'trading.staking.oscarsGrind.maxUnits'],
+        ['kellyFraction', 'trading.staking.kelly.fraction'],
+        ['kellyMaxFraction', 'trading.staking.kelly.maxFraction'],
+        ['maxDailyLoss', 'risk.maxDailyLoss'],
+        ['maxAccountDailyLoss', 'risk.maxAccountDailyLoss'],
+        ['maxConsecLosses', 'risk.maxConsecutiveLosses'],
+        ['cooldownPeriod', 'risk.cooldownPeriod'],
+        ['stopLossPercentage', 'risk.stopLossPercentage'],
+        ['takeProfitPercentage', 'risk.takeProfitPercentage'],
+        ['maxDrawdownPercentage', 'risk.maxDrawdown'],
+        ['modelStatistical', 'models.statistical.enabled'],
+        ['modelPattern', 'models.pattern.enabled'],
+        ['modelRuleBased', 'models.ruleBased.enabled'],
+        ['modelRL', 'models.reinforcementLearning.enabled'],
+        ['modelDistribution', 'models.distribution.enabled'],
+        ['modelMarkov', 'models.markov.enabled'],
+        ['strategyType', 'strategy.type'],
+        ['weightMethod', 'strategy.weightMethod'],
+        ['ensembleMethod', 'strategy.ensembleMethod'],
+        ['votingThreshold', 'strategy.votingThreshold'],
+        ['calibrationEnabled', 'calibration.enabled'],
+        ['calibrationMethod', 'calibration.method'],
+        ['driftEnabled', 'drift.enabled'],
+        ['driftAction', 'drift.action'],
+        ['driftWeightPenalty', 'drift.weightPenalty'],
+        ['driftPauseAutoTrade', 'drift.pauseAutoTrade'],
+        ['scheduleEnabled', 'schedule.enabled'],
+        ['scheduleTimezone', 'schedule.timezone'],
+        ['scheduleWindows', 'schedule.windows'],
+        ['scheduleMaxTrades', 'schedule.maxTradesPerSession'],
+        ['scheduleProfitTarget', 'schedule.sessionProfitTarget'],
+        ['scheduleLossLimit', 'schedule.sessionLossLimit'],
+        ['scheduleBreakAfter', 'schedule.breakAfterTrades'],
+        ['scheduleBreakMinutes', 'schedule.breakMinutes']
+    ],
+
+    // Called with (path, value) after a bound control changes a setting
+    onChange: null,
+
+    /**
+     * Read a CONFIG-shaped object by dotted path
+     */
+    getPath(obj, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+    },
+
+    /**
+     * Write a CONFIG-shaped object by dotted path, creating objects along the way
+     */
+    setPath(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((node, key) => {
+            if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+            return node[key];
+        }, obj);
+        target[last] = value;
+    },
+
+    /**
+     * Check one value against its schema entry
+     * @returns {string|null} error message, or null if valid
+     */
+    validateValue(path, value) {
+        const rule = this.schema[path];
+        if (!rule) return `Unknown setting ${path}`;
+
+        switch (rule.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `${path} must be true or false`;
+            case 'enum':
+                return rule.values.includes(value) ? null : `${path} must be one of ${rule.values.join(', ')}`;
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+                if (rule.type === 'integer' && !Number.isInteger(value)) return `${path} must be a whole number`;
+                if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+                if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+                return null;
+            case 'string':
+                if (typeof value !== 'string') return `${path} must be text`;
+                if (rule.pattern && !rule.pattern.test(value)) return `${path} ${rule.hint || 'is not valid'}`;
+                return null;
+            default:
+                return `${path} has an unsupported type`;
+        }
+    },
+
+    /**
+     * Deep-merge settings over the defaults and validate every schema path;
+     * invalid or missing values fall back to the default
+     * @returns {{settings: Object, errors: string[]}}
+     */
+    validate(settings) {
+        const merged = Utils.deepMerge(this.defaults, settings || {});
+        const result = {};
+        const errors = [];
+
+        this.getPersistedPaths().forEach(path => {
+            let value = this.getPath(merged, path);
+            const error = this.validateValue(path, value);
+            if (error) {
+                errors.push(error);
+                value = this.getPath(this.defaults, path);
+            }
+            this.setPath(result, path, value);
+        });
+
+        const constraintError = this.checkConstraints(result);
+        if (constraintError) {
+            errors.push(constraintError);
+            result.models.pattern.minPatternLength = this.defaults.models.pattern.minPatternLength;
+            result.models.pattern.maxPatternLength = this.defaults.models.pattern.maxPatternLength;
+        }
+
+        return { settings: result, errors };
+    },
+
+    /**
+     * Rules that span several settings
+     * @returns {string|null} error message, or null if consistent
+     */
+    checkConstraints(settings) {
+        const { minPatternLength, maxPatternLength } = settings.models.pattern;
+        if (minPatternLength > maxPatternLength) {
+            return 'Min pattern length must not exceed max pattern length';
+        }
+        return null;
+    },
+
+    /**
+     * Schema paths that are saved, restored and kept in profiles
+     */
+    getPersistedPaths() {
+        return Object.keys(this.schema).filter(path => this.schema[path].persist !== false);
+    },
+
+    /**
+     * Validate and apply a single setting, then persist
+     * @returns {string|null} error message if the value was rejected
+     */
+    set(path, value) {
+        const error = this.validateValue(path, value);
+        if (error) return error;
+
+        const candidate = this.export();
+        this.setPath(candidate, path, value);
+        const constraintError = this.checkConstraints(candidate);
+        if (constraintError) return constraintError;
+
+        this.setPath(CONFIG, path, value);
+        this.save();
+        return null;
+    },
+
+    /**
+     * Restore the default value of every setting under a path prefix (e.g. 'models.pattern.')
+     */
+    resetToDefaults(prefix) {
+        Object.keys(this.schema)
+            .filter(path => path.startsWith(prefix))
+            .forEach(path => this.setPath(CONFIG, path, Utils.deepClone(this.getPath(this.defaults, path))));
+        this.save();
+    },
+
+    /**
+     * Copy validated settings into CONFIG in place
+     */
+    apply(settings) {
+        this.getPersistedPaths().forEach(path => {
+            this.setPath(CONFIG, path, this.getPath(settings, path));
+        });
+    },
+
+    /**
+     * The current user-editable settings, as persisted
+     */
+    export() {
+        const settings = {};
+        this.getPersistedPaths().forEach(path => {
+            this.setPath(settings, path, Utils.deepClone(this.getPath(CONFIG, path)));
+        });
+        return settings;
+    },
+
+    /**
+     * Restore persisted settings into CONFIG
+     */
+    load() {
+        const { settings, errors } = this.validate(Storage.getSettings());
+        if (errors.length > 0) {
+            Utils.log('Ignored invalid saved settings', 'warn', errors);
+        }
+        this.apply(settings);
+        return settings;
+    },
+
+    /**
+     * Persist the current settings
+     */
+    save() {
+        Storage.saveSettings(this.export());
+    },
+
+    /**
+     * Read a bound control as a setting value
+     */
+    readControl(element, path) {
+        const rule = this.schema[path];
+        if (rule.type === 'boolean') return element.checked;
+        if (rule.type === 'integer' || rule.type === 'number') return parseFloat(element.value);
+        return element.value;
+    },
+
+    /**
+     * Write a setting value into a bound control
+     */
+    writeControl(element, path, value) {
+        if (this.schema[path].type === 'boolean') {
+            element.checked = value;
+        } else {
+            element.value = value;
+        }
+    },
+
+    /**
+     * Listen to every bound control; valid edits update CONFIG and are saved,
+     * invalid ones are reverted to the current value
+     */
+    bind(onChange = null) {
+        this.onChange = onChange;
+
+        this.bindings.forEach(([id, path]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            const event = element.type === 'range' ? 'input' : 'change';
+            element.addEventListener(event, () => this.handleControlChange(element, path));
+        });
+    },
+
+    handleControlChange(element, path) {
+        const value = this.readControl(element, path);
+        const error = this.set(path, value);
+
+        if (error) {
+            this.writeControl(element, path, this.getPath(CONFIG, path));
+            Utils.notify('Invalid Setting', error, 'warning');
+            return;
+        }
+
+        if (this.onChange) this.onChange(path, value);
+    },
+
+    /**
+     * Push CONFIG values into every bound control
+     */
+    refresh() {
+        this.bindings.forEach(([id, path]) => {
+            const element = document.getElementById(id);
+            if (element) this.writeControl(element, path, this.getPath(CONFIG, path));
+        });
+    },
+
+    /**
+     * Named setting profiles, keyed by name
+     */
+    getProfiles() {
+        return Storage.getItem('settingsProfiles') || {};
+    },
+
+    saveProfile(name) {
+        const profiles = this.getProfiles();
+        profiles[name] = { savedAt: Date.now(), settings: this.export() };
+        Storage.setItem('settingsProfiles', profiles);
+        Utils.log(`Settings profile saved: ${name}`, 'info');
+    },
+
+    /**
+     * Apply a stored profile to CONFIG and persist it
+     */
+    loadProfile(name) {
+        const profile = this.getProfiles()[name];
+        if (!profile) return false;
+
+        const { settings, errors } = this.validate(profile.settings);
+        if (errors.length > 0) {
+            Utils.log(`Profile ${name} had invalid settings`, 'warn', errors);
+        }
+        this.apply(settings);
+        this.save();
+        return true;
+    },
+
+    deleteProfile(name) {
+        const profiles = this.getProfiles();
+        delete profiles[name];
+        Storage.setItem('settingsProfiles', profiles);
+    },
+
+    /**
+     * Download a stored profile as JSON
+     */
+    exportProfile(name) {
+        const profile = this.getProfiles()[name];
+        if (!profile) return false;
+
+        Utils.exportToJSON({
+            type: 'settings-profile',
+            name,
+            version: Storage.SCHEMA_VERSION,
+            savedAt: profile.savedAt,
+            settings: profile.settings
+        }, `settings_${name}`);
+        return true;
+    },
+
+    /**
+     * Store a profile from exported JSON text
+     * @returns {{name: string, errors: string[]}}
+     * @throws {Error} if the text is not a settings profile
+     */
+    importProfile(text) {
+        const data = JSON.parse(text);
+        if (!data || data.type !== 'settings-profile' || typeof data.name !== 'string' || !data.settings) {
+            throw new Error('File is not a settings profile');
+        }
+        const version = Storage.getSnapshotVersion(data);
+        if (version > Storage.SCHEMA_VERSION) {
+            throw new Error(`Profile uses schema v${data.version}; this version supports up to v${Storage.SCHEMA_VERSION}`);
+        }
+
+        // Older profiles go through the same migrations as stored settings
+        const migrated = Storage.runMigrations({ settings: Utils.deepClone(data.settings) }, version);
+        const { settings, errors } = this.validate(migrated.settings);
+        const profiles = this.getProfiles();
+        profiles[data.name] = { savedAt: Date.now(), settings };
+        Storage.setItem('settingsProfiles', profiles);
+
+        return { name: data.name, errors };
+    }
+};
+
+// Export settings manager
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
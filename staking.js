@@ -0,0 +1,204 @@
+// staking.js - Staking Strategies (stake progression per symbol)
+
+const Staking = {
+    /**
+     * Each strategy sizes the next stake from its progression state and moves the
+     * state on after a settled trade. Parameters live in CONFIG.trading.staking[name].
+     * stake(state, params, context) and advance(state, params, outcome) get
+     * context/outcome with baseStake, payoutRatio and (when known) balance.
+     */
+    strategies: {
+        fixed: {
+            label: 'Fixed Stake',
+            initial: () => ({}),
+            stake: (state, params, { baseStake }) => baseStake,
+            advance: () => ({}),
+            describe: () => 'Flat'
+        },
+        fixedFraction: {
+            label: 'Fixed Fraction',
+            initial: () => ({}),
+            // Without a known balance (simulation before login, backtests) the base stake is used
+            stake: (state, { fraction }, { baseStake, balance }) => (balance > 0 ? balance * fraction : baseStake),
+            advance: () => ({}),
+            describe: (state, { fraction }) => `${(fraction * 100).toFixed(1)}% of balance`
+        },
+        martingale: {
+            label: 'Martingale',
+            initial: () => ({ level: 0 }),
+            stake: ({ level }, { multiplier }, { baseStake }) => baseStake * Math.pow(multiplier, level),
+            advance: ({ level }, { maxLevels }, { won }) => ({ level: won ? 0 : Math.min(level + 1, maxLevels) }),
+            describe: ({ level }, { maxLevels }) => `Level ${level}/${maxLevels}`
+        },
+        paroli: {
+            label: 'Anti-Martingale (Paroli)',
+            initial: () => ({ level: 0 }),
+            stake: ({ level }, { multiplier }, { baseStake }) => baseStake * Math.pow(multiplier, level),
+            // Bank the run after maxWins wins in a row
+            advance: ({ level }, { maxWins }, { won }) => ({ level: won && level + 1 < maxWins ? level + 1 : 0 }),
+            describe: ({ level }, { maxWins }) => `Win ${level}/${maxWins}`
+        },
+        dalembert: {
+            label: "D'Alembert",
+            initial: () => ({ level: 0 }),
+            stake: ({ level }, { unit }, { baseStake }) => baseStake * (1 + unit * level),
+            advance: ({ level }, params, { won }) => ({ level: won ? Math.max(0, level - 1) : level + 1 }),
+            describe: ({ level }) => `+${level} units`
+        },
+        fibonacci: {
+            label: 'Fibonacci',
+            initial: () => ({ level: 0 }),
+            stake: ({ level }, params, { baseStake }) => baseStake * Staking.fibonacci(level),
+            // A win steps back two numbers in the sequence
+            advance: ({ level }, { maxLevels }, { won }) => ({ level: won ? Math.max(0, level - 2) : Math.min(level + 1, maxLevels) }),
+            describe: ({ level }) => `Step ${level} (×${Staking.fibonacci(level)})`
+        },
+        oscarsGrind: {
+            label: "Oscar's Grind",
+            initial: () => ({ units: 1, cycleProfit: 0 }),
+            stake: ({ units }, params, { baseStake }) => baseStake * units,
+            // A cycle ends once it is up one unit's win; stakes rise by a unit after a win,
+            // never beyond what completes the cycle, and hold after a loss
+            advance({ units, cycleProfit }, { maxUnits }, { won, profit, baseStake, payoutRatio }) {
+                const unitWin = baseStake * (payoutRatio - 1);
+                const total = cycleProfit + profit;
+                if (total >= unitWin - 1e-9) return { units: 1, cycleProfit: 0 };
+                if (!won) return { units, cycleProfit: total };
+
+                const needed = Math.max(1, Math.ceil((unitWin - total) / unitWin - 1e-9));
+                return { units: Math.min(units + 1, needed, maxUnits), cycleProfit: total };
+            },
+            describe: ({ units, cycleProfit }) => `${units} unit${units === 1 ? '' : 's'}, cycle ${Utils.formatCurrency(cycleProfit)}`
+        },
+        kelly: {
+            label: 'Capped Kelly',
+            initial: () => ({}),
+            // Fractional Kelly on the win probability, capped at maxFraction of the bankroll.
+            // Without a known balance the bankroll is baseStake / maxFraction, so the
+            // capped bet is the base stake.
+            stake(state, { fraction, maxFraction }, { baseStake, balance, payoutRatio, winProbability, winRate }) {
+                const probability = winProbability ?? winRate ?? Storage.getPerformance().winRate / 100;
+                const kelly = Utils.calculateKellyCriterion(probability, payoutRatio - 1);
+                const bankroll = balance > 0 ? balance : baseStake / maxFraction;
+                return bankroll * Math.min(kelly * fraction, maxFraction);
+            },
+            advance: () => ({}),
+            describe: (state, { fraction, maxFraction }) => `${fraction}× Kelly, max ${(maxFraction * 100).toFixed(1)}%`
+        }
+    },
+
+    // Progression state by symbol, persisted under 'staking'
+    state: null,
+
+    load() {
+        this.state = Storage.getItem('staking') || {};
+        return this.state;
+    },
+
+    save() {
+        Storage.setItem('staking', this.state);
+    },
+
+    getStrategy(name) {
+        const strategy = this.strategies[name];
+        if (!strategy) {
+            throw new Error(`Unknown staking strategy: ${name}`);
+        }
+        return strategy;
+    },
+
+    getParams(name) {
+        return CONFIG.trading.staking[name] || {};
+    },
+
+    /**
+     * nth stake multiplier of the Fibonacci progression (1, 1, 2, 3, 5, ...)
+     */
+    fibonacci(n) {
+        let [a, b] = [1, 1];
+        for (let i = 0; i < n; i++) [a, b] = [b, a + b];
+        return a;
+    },
+
+    /**
+     * Fresh progression state for a strategy
+     */
+    initialState(name = CONFIG.trading.staking.strategy) {
+        return { strategy: name, ...this.getStrategy(name).initial() };
+    },
+
+    /**
+     * A symbol's progression state; it restarts when the strategy is changed
+     */
+    getState(symbol) {
+        if (!this.state) this.load();
+
+        const key = symbol || 'default';
+        if (this.state[key]?.strategy !== CONFIG.trading.staking.strategy) {
+            this.state[key] = this.initialState();
+        }
+        return this.state[key];
+    },
+
+    /**
+     * Stake for the next trade, always within [minStake, maxStake]
+     * @param {Object} state - progression state (getState, or a backtest's own)
+     * @param {Object} [context] - { payoutRatio, balance, winProbability, winRate }
+     */
+    calculate(state, context = {}) {
+        const { baseStake, minStake, maxStake, defaultPayoutRatio } = CONFIG.trading;
+        const stake = this.getStrategy(state.strategy).stake(state, this.getParams(state.strategy), {
+            baseStake,
+            balance: null,
+            ...context,
+            payoutRatio: context.payoutRatio ?? defaultPayoutRatio
+        });
+
+        const capped = Math.max(minStake, Math.min(Number.isFinite(stake) ? stake : baseStake, maxStake));
+        return parseFloat(capped.toFixed(2));
+    },
+
+    /**
+     * Progression state after a settled trade
+     * @param {Object} outcome - { won, stake, profit, payoutRatio }
+     */
+    advance(state, outcome) {
+        const next = this.getStrategy(state.strategy).advance(state, this.getParams(state.strategy), {
+            baseStake: CONFIG.trading.baseStake,
+            ...outcome,
+            payoutRatio: outcome.payoutRatio ?? CONFIG.trading.defaultPayoutRatio
+        });
+        return { ...state, ...next };
+    },
+
+    /**
+     * Move a symbol's progression on after one of its trades settles
+     */
+    record(symbol, outcome) {
+        const next = this.advance(this.getState(symbol), outcome);
+        this.state[symbol || 'default'] = next;
+        this.save();
+        return next;
+    },
+
+    /**
+     * Short progression text for the dashboard
+     */
+    describe(state) {
+        const strategy = this.getStrategy(state.strategy);
+        return strategy.describe(state, this.getParams(state.strategy));
+    },
+
+    /**
+     * Restart every symbol's progression
+     */
+    reset() {
+        this.state = {};
+        this.save();
+    }
+};
+
+// Export staking
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Staking;
+}
@@ -0,0 +1,237 @@
+// storage-adapters.js - Record Storage Backends (IndexedDB, localStorage fallback)
+//
+// Both adapters expose the same promise-based interface over the 'ticks', 'trades'
+// and 'journal' record stores:
+//   init(), append(store, record), appendMany(store, records),
+//   getRecent(store, count), query(store, range), iterate(store, range, callback),
+//   count(store), replaceAll(store, records), clear(store), prune(store, maxRecords)
+// A range is { symbol, from, to, limit, reverse }; from/to bound `timestamp`.
+
+const RECORD_STORES = ['ticks', 'trades', 'journal'];
+
+/**
+ * IndexedDB backend: one row per record, indexed by timestamp and symbol+timestamp
+ */
+class IndexedDBAdapter {
+    constructor(dbName = `${CONFIG.storage.prefix}db`) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            // Version 2 added the journal store; missing stores are created on upgrade
+            const request = indexedDB.open(this.dbName, 2);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                RECORD_STORES.forEach(name => {
+                    if (db.objectStoreNames.contains(name)) return;
+                    const store = db.createObjectStore(name, { keyPath: 'id' });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('symbol_timestamp', ['symbol', 'timestamp']);
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run `work(objectStore)` in a transaction; resolves once it has committed
+     */
+    transaction(storeName, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            work(tx.objectStore(storeName));
+        });
+    }
+
+    append(store, record) {
+        return this.appendMany(store, [record]);
+    }
+
+    appendMany(store, records) {
+        return this.transaction(store, 'readwrite', objectStore => {
+            records.forEach(record => objectStore.put(record));
+        });
+    }
+
+    /**
+     * Open a cursor over the index matching the range
+     */
+    openCursor(objectStore, { symbol = null, from = -Infinity, to = Infinity, reverse = false } = {}) {
+        const direction = reverse ? 'prev' : 'next';
+
+        if (symbol) {
+            const range = IDBKeyRange.bound([symbol, from], [symbol, to]);
+            return objectStore.index('symbol_timestamp').openCursor(range, direction);
+        }
+        return objectStore.index('timestamp').openCursor(IDBKeyRange.bound(from, to), direction);
+    }
+
+    iterate(store, range = {}, callback) {
+        const limit = range.limit ?? Infinity;
+
+        return this.transaction(store, 'readonly', objectStore => {
+            let seen = 0;
+            const request = this.openCursor(objectStore, range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || seen >= limit) return;
+                seen++;
+                if (callback(cursor.value) === false) return;
+                cursor.continue();
+            };
+        });
+    }
+
+    async query(store, range = {}) {
+        const records = [];
+        await this.iterate(store, range, record => {
+            records.push(record);
+        });
+        return records;
+    }
+
+    async getRecent(store, count) {
+        const records = await this.query(store, { limit: count, reverse: true });
+        return records.reverse();
+    }
+
+    count(store) {
+        let request;
+        return this.transaction(store, 'readonly', objectStore => {
+            request = objectStore.count();
+        }).then(() => request.result);
+    }
+
+    replaceAll(store, records) {
+        return this.transaction(store, 'readwrite', objectStore => {
+            objectStore.clear();
+            records.forEach(record => objectStore.put(record));
+        });
+    }
+
+    clear(store) {
+        return this.transaction(store, 'readwrite', objectStore => {
+            objectStore.clear();
+        });
+    }
+
+    /**
+     * Delete the oldest records beyond maxRecords
+     */
+    async prune(store, maxRecords) {
+        const excess = (await this.count(store)) - maxRecords;
+        if (excess <= 0) return 0;
+
+        await this.transaction(store, 'readwrite', objectStore => {
+            let deleted = 0;
+            const request = objectStore.index('timestamp').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || deleted >= excess) return;
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            };
+        });
+        return excess;
+    }
+}
+
+/**
+ * localStorage backend: each store is one array under its Storage key, capped at maxHistorySize
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    async init() {
+        return this;
+    }
+
+    read(store) {
+        return Storage.getItem(store) || [];
+    }
+
+    write(store, records) {
+        const sorted = records.slice().sort((a, b) => a.timestamp - b.timestamp);
+        Storage.setItem(store, sorted.slice(-CONFIG.storage.maxHistorySize));
+    }
+
+    async append(store, record) {
+        return this.appendMany(store, [record]);
+    }
+
+    async appendMany(store, records) {
+        const ids = new Set(records.map(r => r.id));
+        const existing = this.read(store).filter(r => !ids.has(r.id));
+        this.write(store, existing.concat(records));
+    }
+
+    async iterate(store, { symbol = null, from = -Infinity, to = Infinity, limit = Infinity, reverse = false } = {}, callback) {
+        const records = this.read(store)
+            .filter(r => (!symbol || r.symbol === symbol) && r.timestamp >= from && r.timestamp <= to);
+        if (reverse) records.reverse();
+
+        for (const record of records.slice(0, limit)) {
+            if (callback(record) === false) break;
+        }
+    }
+
+    async query(store, range = {}) {
+        const records = [];
+        await this.iterate(store, range, record => {
+            records.push(record);
+        });
+        return records;
+    }
+
+    async getRecent(store, count) {
+        return this.read(store).slice(-count);
+    }
+
+    async count(store) {
+        return this.read(store).length;
+    }
+
+    async replaceAll(store, records) {
+        this.write(store, records);
+    }
+
+    async clear(store) {
+        Storage.setItem(store, []);
+    }
+
+    async prune(store, maxRecords) {
+        const records = this.read(store);
+        const excess = records.length - maxRecords;
+        if (excess <= 0) return 0;
+        this.write(store, records.slice(excess));
+        return excess;
+    }
+}
+
+// Export adapters
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBAdapter, LocalStorageAdapter, RECORD_STORES };
+}
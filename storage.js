@@ -1,20 +1,237 @@
 // storage.js - Data Storage and Management
 
 const Storage = {
+    // Record backend for ticks and trades (IndexedDB, or localStorage as fallback)
+    adapter: null,
+
+    // Resolves once the adapter is open, migrated and the windows below are loaded
+    ready: Promise.resolve(),
+
+    // Most recent maxHistorySize ticks and trades, kept in memory for synchronous reads
+    records: { ticks: [], trades: [], journal: [] },
+
+    // Set when stored data comes from a newer schema: nothing is written, so it survives intact
+    readOnly: false,
+
+    // Rebuild of the performance running totals in progress (see rebuildPerformanceStats)
+    statsRebuild: null,
+
+    // Version of the stored data layout; bump it and register a migration when the layout changes
+    SCHEMA_VERSION: 3,
+
+    // Keys created with defaults and migrated in local storage
+    DATA_KEYS: ['ticks', 'trades', 'performance', 'models', 'metaLearner', 'settings'],
+
+    // State carried by a data snapshot (backups and Firebase) besides ticks and trades
+    SNAPSHOT_KEYS: ['performance', 'models', 'metaLearner', 'markov', 'calibration', 'staking', 'settings'],
+
+    // Keys that also have per-symbol entries ('models_R_100'), carried under a snapshot's `symbols`
+    SYMBOL_SCOPES: ['models', 'metaLearner', 'markov'],
+
+    /**
+     * Ordered schema migrations. Each `migrate(data)` upgrades a snapshot of DATA_KEYS
+     * from `version - 1` to `version` and returns it. Unversioned data (including
+     * Firebase snapshots tagged '1.0.0') is version 1.
+     */
+    migrations: [
+        {
+            version: 2,
+            description: 'Give every record an id and fill settings added since 1.0.0 from defaults',
+            migrate(data) {
+                RECORD_STORES.forEach(store => {
+                    if (Array.isArray(data[store])) {
+                        data[store] = data[store].map(record => record.id ? record : { ...record, id: Utils.generateId() });
+                    }
+                });
+                if (data.settings) {
+                    data.settings = Utils.deepMerge(Storage.getDefaultValue('settings'), data.settings);
+                }
+                return data;
+            }
+        },
+        {
+            version: 3,
+            description: 'Replace the martingale and adaptive staking switches with a staking strategy',
+            migrate(data) {
+                const trading = data.settings?.trading;
+                if (trading && (trading.martingale || 'adaptiveStaking' in trading)) {
+                    const martingale = trading.martingale || {};
+                    const strategy = martingale.enabled !== false ? 'martingale' : (trading.adaptiveStaking ? 'kelly' : 'fixed');
+                    trading.staking = { ...trading.staking, strategy };
+                    if (martingale.multiplier !== undefined || martingale.maxLevels !== undefined) {
+                        trading.staking.martingale = {
+                            multiplier: parseFloat(martingale.multiplier),
+                            maxLevels: parseInt(martingale.maxLevels, 10)
+                        };
+                    }
+                    delete trading.martingale;
+                    delete trading.adaptiveStaking;
+                }
+                return data;
+            }
+        }
+    ],
+
     /**
      * Initialize storage
      */
     init() {
+        if (!this.migrateLocalData()) {
+            this.readOnly = true;
+            Utils.log('Storage is read-only: nothing will be saved this session', 'warn');
+            return;
+        }
+
         this.ensureStorageStructure();
+        this.ready = this.initAdapter();
         Utils.log('Storage initialized', 'info');
     },
 
+    /**
+     * Open the configured record backend, migrate legacy data and load recent records
+     */
+    async initAdapter() {
+        let adapter = null;
+
+        if (CONFIG.storage.backend === 'indexedDB') {
+            try {
+                adapter = await new IndexedDBAdapter().init();
+            } catch (e) {
+                Utils.log('IndexedDB unavailable, falling back to localStorage', 'warn', e);
+            }
+        }
+        if (!adapter) {
+            adapter = await new LocalStorageAdapter().init();
+        }
+        this.adapter = adapter;
+
+        try {
+            if (adapter.name !== 'localStorage') {
+                await this.migrateLegacyRecords(adapter);
+            }
+
+            for (const store of RECORD_STORES) {
+                await adapter.prune(store, CONFIG.storage.maxStoredRecords);
+                const recent = await adapter.getRecent(store, CONFIG.storage.maxHistorySize);
+
+                // Keep anything saved while the backend was opening
+                const ids = new Set(recent.map(r => r.id));
+                const pending = this.records[store].filter(r => !ids.has(r.id));
+                this.records[store] = recent.concat(pending).slice(-CONFIG.storage.maxHistorySize);
+            }
+
+            Utils.log(`Record storage ready (${adapter.name})`, 'info');
+        } catch (e) {
+            Utils.log('Failed to load stored records', 'error', e);
+        }
+    },
+
+    /**
+     * Move ticks and trades from the old localStorage arrays into the adapter
+     */
+    async migrateLegacyRecords(adapter) {
+        const legacy = new LocalStorageAdapter();
+
+        for (const store of RECORD_STORES) {
+            const records = (await legacy.getRecent(store, Infinity))
+                .map(record => record.id ? record : { ...record, id: Utils.generateId() });
+            if (records.length === 0) continue;
+
+            await adapter.appendMany(store, records);
+            await legacy.clear(store);
+            Utils.log(`Migrated ${records.length} ${store} from localStorage to ${adapter.name}`, 'info');
+        }
+    },
+
+    /**
+     * Bring data in localStorage up to SCHEMA_VERSION
+     * Records already in IndexedDB were written at schema 2 or later.
+     */
+    migrateLocalData() {
+        const storedVersion = this.getItem('schemaVersion');
+        const hasData = this.DATA_KEYS.some(key => localStorage.getItem(`${CONFIG.storage.prefix}${key}`) !== null);
+        const version = storedVersion ?? (hasData ? 1 : this.SCHEMA_VERSION);
+
+        if (version > this.SCHEMA_VERSION) {
+            Utils.log(`Stored data uses schema v${version}, newer than supported v${this.SCHEMA_VERSION}`, 'error');
+            Utils.notify('Storage Error',
+                `Saved data was written by a newer version (schema v${version}). It has been left untouched; please update the app.`,
+                'error');
+            return false;
+        }
+
+        if (version < this.SCHEMA_VERSION) {
+            const data = {};
+            this.DATA_KEYS.forEach(key => {
+                const value = this.getItem(key);
+                if (value !== null) data[key] = value;
+            });
+
+            const migrated = this.runMigrations(data, version);
+            Object.entries(migrated).forEach(([key, value]) => this.setItem(key, value));
+            Utils.log(`Storage migrated from schema v${version} to v${this.SCHEMA_VERSION}`, 'info');
+        }
+
+        this.setItem('schemaVersion', this.SCHEMA_VERSION);
+        return true;
+    },
+
+    /**
+     * Apply the registered migrations newer than fromVersion, in order
+     */
+    runMigrations(data, fromVersion) {
+        return this.migrations
+            .filter(m => m.version > fromVersion && m.version <= this.SCHEMA_VERSION)
+            .sort((a, b) => a.version - b.version)
+            .reduce((snapshot, migration) => {
+                Utils.log(`Applying storage migration v${migration.version}: ${migration.description}`, 'info');
+                return migration.migrate(snapshot);
+            }, data);
+    },
+
+    /**
+     * Schema version of a backup or Firebase snapshot
+     */
+    getSnapshotVersion(data) {
+        const version = parseInt(data.version, 10);
+        return Number.isInteger(version) && version > 0 ? version : 1;
+    },
+
+    /**
+     * Validate a backup or Firebase snapshot and migrate a copy to SCHEMA_VERSION
+     * @throws {Error} if the snapshot is malformed or from a newer schema
+     */
+    upgradeSnapshot(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Snapshot is not an object');
+        }
+
+        const version = this.getSnapshotVersion(data);
+        if (version > this.SCHEMA_VERSION) {
+            throw new Error(`Snapshot uses schema v${version}; this version supports up to v${this.SCHEMA_VERSION}`);
+        }
+
+        RECORD_STORES.forEach(store => {
+            if (data[store] != null && !Array.isArray(data[store])) {
+                throw new Error(`Snapshot ${store} must be an array`);
+            }
+        });
+        [...this.SNAPSHOT_KEYS, 'symbols'].forEach(key => {
+            if (data[key] != null && (typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+                throw new Error(`Snapshot ${key} must be an object`);
+            }
+        });
+
+        const upgraded = this.runMigrations(Utils.deepClone(data), version);
+        upgraded.version = this.SCHEMA_VERSION;
+        return upgraded;
+    },
+
     /**
      * Ensure all storage keys exist
      */
     ensureStorageStructure() {
-        const keys = ['ticks', 'trades', 'performance', 'models', 'settings'];
-        keys.forEach(key => {
+        this.DATA_KEYS.forEach(key => {
             const fullKey = `${CONFIG.storage.prefix}${key}`;
             if (!localStorage.getItem(fullKey)) {
                 localStorage.setItem(fullKey, JSON.stringify(this.getDefaultValue(key)));
@@ -37,42 +254,59 @@ const Storage = {
                 winRate: 0,
                 profitFactor: 0,
                 sharpeRatio: 0,
-                maxDrawdown: 0
+                maxDrawdown: 0,
+                // Running totals over every stored trade, in time order (see addRunningStats)
+                running: {
+                    grossProfit: 0,
+                    grossLoss: 0,
+                    cumulative: 0,
+                    peak: 0,
+                    maxDrawdown: 0,
+                    returns: 0,
+                    returnSum: 0,
+                    returnSquares: 0
+                }
             },
             models: {
                 statistical: { accuracy: 0, predictions: 0, correct: 0 },
                 pattern: { accuracy: 0, predictions: 0, correct: 0 },
                 ruleBased: { accuracy: 0, predictions: 0, correct: 0 },
-                reinforcementLearning: { accuracy: 0, predictions: 0, correct: 0, qTable: {} }
+                reinforcementLearning: { accuracy: 0, predictions: 0, correct: 0, qTable: {} },
+                distribution: { accuracy: 0, predictions: 0, correct: 0 },
+                markov: { accuracy: 0, predictions: 0, correct: 0 }
+            },
+            metaLearner: {
+                weights: {},
+                bias: 0,
+                samples: 0
             },
             settings: Utils.deepClone(CONFIG)
         };
         return defaults[key] || {};
     },
 
+    /**
+     * Build the stored form of an API tick
+     */
+    buildTickData(tick) {
+        const digit = Utils.getLastDigit(tick.quote, tick.pip_size);
+        return {
+            id: Utils.generateId(),
+            timestamp: tick.epoch,
+            symbol: tick.symbol,
+            quote: tick.quote,
+            digit,
+            isEven: Utils.isEven(digit)
+        };
+    },
+
     /**
      * Save tick data
      */
     saveTick(tick) {
         try {
-            const ticks = this.getTicks();
-            const tickData = {
-                id: Utils.generateId(),
-                timestamp: tick.epoch,
-                symbol: tick.symbol,
-                quote: tick.quote,
-                digit: Utils.getLastDigit(tick.quote),
-                isEven: Utils.isEven(Utils.getLastDigit(tick.quote))
-            };
-
-            ticks.push(tickData);
-
-            // Prune old ticks
-            if (ticks.length > CONFIG.storage.maxHistorySize) {
-                ticks.shift();
-            }
-
-            this.setItem('ticks', ticks);
+            const tickData = this.buildTickData(tick);
+            this.addRecords('ticks', [tickData]);
             return tickData;
         } catch (e) {
             Utils.log('Failed to save tick', 'error', e);
@@ -81,18 +315,63 @@ const Storage = {
     },
 
     /**
-     * Get all ticks
+     * Merge a batch of API ticks, skipping epochs already stored for the symbol
+     * @returns {Array} the newly stored ticks, oldest first
+     */
+    saveTicks(ticksToSave) {
+        try {
+            const seen = new Set(this.records.ticks.map(t => `${t.symbol}_${t.timestamp}`));
+            const added = [];
+
+            ticksToSave.forEach(tick => {
+                const key = `${tick.symbol}_${tick.epoch}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                added.push(this.buildTickData(tick));
+            });
+
+            added.sort((a, b) => a.timestamp - b.timestamp);
+            if (added.length > 0) {
+                this.addRecords('ticks', added);
+            }
+            return added;
+        } catch (e) {
+            Utils.log('Failed to save ticks', 'error', e);
+            return [];
+        }
+    },
+
+    /**
+     * Get recent ticks (up to maxHistorySize; use queryTicks for older history)
      */
     getTicks() {
-        return this.getItem('ticks') || [];
+        return this.records.ticks.slice();
     },
 
     /**
      * Get recent ticks
      */
     getRecentTicks(count = 100) {
-        const ticks = this.getTicks();
-        return ticks.slice(-count);
+        return this.records.ticks.slice(-count);
+    },
+
+    /**
+     * Query stored ticks by symbol and epoch range
+     * @param {Object} range - { symbol, from, to, limit, reverse }
+     * @returns {Promise<Array>}
+     */
+    async queryTicks(range = {}) {
+        await this.ready;
+        return this.adapter ? this.adapter.query('ticks', range) : [];
+    },
+
+    /**
+     * Walk stored ticks with a cursor; return false from the callback to stop
+     * @returns {Promise<void>}
+     */
+    async iterateTicks(range, callback) {
+        await this.ready;
+        if (this.adapter) return this.adapter.iterate('ticks', range, callback);
     },
 
     /**
@@ -100,21 +379,13 @@ const Storage = {
      */
     saveTrade(trade) {
         try {
-            const trades = this.getTrades();
             const tradeData = {
                 id: Utils.generateId(),
                 timestamp: Date.now(),
                 ...trade
             };
 
-            trades.push(tradeData);
-
-            // Prune old trades
-            if (trades.length > CONFIG.storage.maxHistorySize) {
-                trades.shift();
-            }
-
-            this.setItem('trades', trades);
+            this.addRecords('trades', [tradeData]);
             this.updatePerformance(tradeData);
             return tradeData;
         } catch (e) {
@@ -124,10 +395,91 @@ const Storage = {
     },
 
     /**
-     * Get all trades
+     * Get recent trades (up to maxHistorySize; use queryTrades for older history)
      */
     getTrades() {
-        return this.getItem('trades') || [];
+        return this.records.trades.slice();
+    },
+
+    /**
+     * Query stored trades by symbol and time range (ms)
+     * @param {Object} range - { symbol, from, to, limit, reverse }
+     * @returns {Promise<Array>}
+     */
+    async queryTrades(range = {}) {
+        await this.ready;
+        return this.adapter ? this.adapter.query('trades', range) : [];
+    },
+
+    /**
+     * Insert or update an order journal entry (see TradeJournal)
+     */
+    saveJournalEntry(entry) {
+        this.mergeRecords('journal', [entry]);
+    },
+
+    /**
+     * Get recent journal entries (up to maxHistorySize; use queryJournal for older ones)
+     */
+    getJournal() {
+        return this.records.journal.slice();
+    },
+
+    /**
+     * Query stored journal entries by symbol and time range (ms)
+     * @param {Object} range - { symbol, from, to, limit, reverse }
+     * @returns {Promise<Array>}
+     */
+    async queryJournal(range = {}) {
+        await this.ready;
+        return this.adapter ? this.adapter.query('journal', range) : [];
+    },
+
+    /**
+     * Add records to the in-memory window and append them to the backend
+     */
+    addRecords(store, records) {
+        const cache = this.records[store];
+        cache.push(...records);
+        if (cache.length > CONFIG.storage.maxHistorySize) {
+            cache.splice(0, cache.length - CONFIG.storage.maxHistorySize);
+        }
+        if (this.readOnly) return;
+
+        this.ready
+            .then(() => this.adapter.appendMany(store, records))
+            .catch(e => Utils.log(`Failed to persist ${store}`, 'error', e));
+    },
+
+    /**
+     * Upsert records by id, keeping everything else already stored (sync merges)
+     * @returns {Promise<void>}
+     */
+    mergeRecords(store, records) {
+        const byId = new Map(this.records[store].map(r => [r.id, r]));
+        records.forEach(r => byId.set(r.id, r));
+        this.records[store] = [...byId.values()]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-CONFIG.storage.maxHistorySize);
+        if (this.readOnly) return Promise.resolve();
+
+        return this.ready
+            .then(() => this.adapter.appendMany(store, records))
+            .catch(e => Utils.log(`Failed to merge ${store}`, 'error', e));
+    },
+
+    /**
+     * Replace every record in a store (restores and full pulls)
+     * @returns {Promise<void>}
+     */
+    replaceRecords(store, records) {
+        const sorted = records.slice().sort((a, b) => a.timestamp - b.timestamp);
+        this.records[store] = sorted.slice(-CONFIG.storage.maxHistorySize);
+        if (this.readOnly) return Promise.resolve();
+
+        return this.ready
+            .then(() => this.adapter.replaceAll(store, sorted))
+            .catch(e => Utils.log(`Failed to replace ${store}`, 'error', e));
     },
 
     /**
@@ -149,14 +501,40 @@ const Storage = {
         });
     },
 
+    /**
+     * Replace a stored trade with a corrected copy (same id and timestamp)
+     * @returns {Object} the corrected trade
+     */
+    correctTrade(trade, corrections) {
+        const corrected = { ...trade, ...corrections, id: trade.id, timestamp: trade.timestamp };
+        this.mergeRecords('trades', [corrected]);
+        this.updatePerformance(corrected, trade);
+        return corrected;
+    },
+
     /**
      * Update performance metrics
+     * @param {Object} trade - the settled trade
+     * @param {Object} [replaced] - an earlier record of the same trade whose outcome is taken back
      */
-    updatePerformance(trade) {
+    updatePerformance(trade, replaced = null) {
+        // A correction changes a trade already summed, so the running totals are rebuilt
+        let rebuild = Boolean(replaced);
+
         try {
             const performance = this.getPerformance();
             
-            performance.totalTrades++;
+            if (replaced) {
+                if (replaced.result === 'win') {
+                    performance.wins--;
+                    performance.totalPnL -= replaced.payout - replaced.stake;
+                } else if (replaced.result === 'loss') {
+                    performance.losses--;
+                    performance.totalPnL += replaced.stake;
+                }
+            } else {
+                performance.totalTrades++;
+            }
             
             if (trade.result === 'win') {
                 performance.wins++;
@@ -170,28 +548,83 @@ const Storage = {
                 ? (performance.wins / performance.totalTrades) * 100 
                 : 0;
 
-            // Calculate profit factor
-            const grossProfit = this.getTrades()
-                .filter(t => t.result === 'win')
-                .reduce((sum, t) => sum + (t.payout - t.stake), 0);
-            
-            const grossLoss = this.getTrades()
-                .filter(t => t.result === 'loss')
-                .reduce((sum, t) => sum + t.stake, 0);
-
-            performance.profitFactor = grossLoss > 0 ? grossProfit / grossLoss : 0;
-
-            // Calculate max drawdown
-            performance.maxDrawdown = this.calculateMaxDrawdown();
-
-            // Calculate Sharpe Ratio
-            const returns = this.calculateReturns();
-            performance.sharpeRatio = Utils.calculateSharpeRatio(returns);
+            // Data from before the running totals, or a rebuild in progress that will include this trade
+            if (!performance.running || this.statsRebuild) {
+                rebuild = true;
+            } else if (!rebuild) {
+                this.addRunningStats(performance, trade);
+            }
 
             this.setItem('performance', performance);
         } catch (e) {
             Utils.log('Failed to update performance', 'error', e);
         }
+
+        if (rebuild) this.rebuildPerformanceStats();
+    },
+
+    /**
+     * Add the next trade in time order to the running totals behind profit factor,
+     * max drawdown and Sharpe ratio, and update those figures
+     */
+    addRunningStats(performance, trade) {
+        const running = performance.running;
+        const [tradeReturn] = this.calculateReturns([trade]);
+
+        if (trade.result === 'win') {
+            running.grossProfit += trade.payout - trade.stake;
+            running.cumulative += trade.payout - trade.stake;
+        } else if (trade.result === 'loss') {
+            running.grossLoss += trade.stake;
+            running.cumulative -= trade.stake;
+        }
+        running.peak = Math.max(running.peak, running.cumulative);
+        running.maxDrawdown = Math.max(running.maxDrawdown, running.peak - running.cumulative);
+
+        running.returns++;
+        running.returnSum += tradeReturn;
+        running.returnSquares += tradeReturn * tradeReturn;
+
+        // Sharpe ratio from the sums: mean over population standard deviation
+        const mean = running.returnSum / running.returns;
+        const variance = running.returnSquares / running.returns - mean * mean;
+
+        performance.profitFactor = running.grossLoss > 0 ? running.grossProfit / running.grossLoss : 0;
+        performance.maxDrawdown = running.maxDrawdown;
+        performance.sharpeRatio = variance > 1e-12 ? mean / Math.sqrt(variance) : 0;
+    },
+
+    /**
+     * Rebuild the running totals from every stored trade (after a correction, restore
+     * or merge). Rebuilds run one at a time; trades saved meanwhile queue another.
+     * @returns {Promise<void>}
+     */
+    rebuildPerformanceStats() {
+        const rebuild = (this.statsRebuild || Promise.resolve())
+            .then(() => this.updatePerformanceStats())
+            .catch(e => Utils.log('Failed to update performance', 'error', e))
+            .then(() => {
+                if (this.statsRebuild === rebuild) this.statsRebuild = null;
+            });
+        this.statsRebuild = rebuild;
+        return rebuild;
+    },
+
+    /**
+     * Recompute profit factor, max drawdown and Sharpe ratio over every stored trade,
+     * not just the in-memory window
+     * @returns {Promise<void>}
+     */
+    async updatePerformanceStats() {
+        const trades = await this.queryTrades();
+
+        const performance = this.getPerformance();
+        performance.running = this.getDefaultValue('performance').running;
+        performance.profitFactor = 0;
+        performance.maxDrawdown = 0;
+        performance.sharpeRatio = 0;
+        trades.forEach(trade => this.addRunningStats(performance, trade));
+        this.setItem('performance', performance);
     },
 
     /**
@@ -202,10 +635,9 @@ const Storage = {
     },
 
     /**
-     * Calculate max drawdown
+     * Calculate max drawdown over trades in time order
      */
-    calculateMaxDrawdown() {
-        const trades = this.getTrades();
+    calculateMaxDrawdown(trades) {
         if (trades.length === 0) return 0;
 
         let peak = 0;
@@ -235,8 +667,7 @@ const Storage = {
     /**
      * Calculate returns array for Sharpe Ratio
      */
-    calculateReturns() {
-        const trades = this.getTrades();
+    calculateReturns(trades) {
         return trades.map(trade => {
             if (trade.result === 'win') {
                 return (trade.payout - trade.stake) / trade.stake;
@@ -247,48 +678,73 @@ const Storage = {
         });
     },
 
+    /**
+     * Storage key for per-symbol model state ('models' -> 'models_R_100')
+     */
+    symbolKey(key, symbol = null) {
+        return symbol ? `${key}_${symbol}` : key;
+    },
+
     /**
      * Update model performance
+     *
+     * The unscoped 'models' entry aggregates every symbol for the dashboard;
+     * when a symbol is given its own entry is updated as well.
      */
-    updateModelPerformance(modelName, prediction, actual) {
+    updateModelPerformance(modelName, prediction, actual, symbol = null) {
         try {
-            const models = this.getModels();
-            
-            if (!models[modelName]) {
-                models[modelName] = { accuracy: 0, predictions: 0, correct: 0 };
-            }
+            const keys = symbol ? ['models', this.symbolKey('models', symbol)] : ['models'];
 
-            models[modelName].predictions++;
-            
-            if (prediction === actual) {
-                models[modelName].correct++;
-            }
+            keys.forEach(key => {
+                const models = this.getItem(key) || this.getDefaultValue('models');
 
-            models[modelName].accuracy = models[modelName].predictions > 0
-                ? (models[modelName].correct / models[modelName].predictions) * 100
-                : 0;
+                if (!models[modelName]) {
+                    models[modelName] = { accuracy: 0, predictions: 0, correct: 0 };
+                }
+
+                models[modelName].predictions++;
+
+                if (prediction === actual) {
+                    models[modelName].correct++;
+                }
+
+                models[modelName].accuracy = models[modelName].predictions > 0
+                    ? (models[modelName].correct / models[modelName].predictions) * 100
+                    : 0;
 
-            this.setItem('models', models);
+                this.setItem(key, models);
+            });
         } catch (e) {
             Utils.log('Failed to update model performance', 'error', e);
         }
     },
 
     /**
-     * Get model performance data
+     * Reset one model's record for a symbol (for RL this clears its Q-table);
+     * the aggregate record is kept
+     */
+    resetModel(modelName, symbol = null) {
+        const key = this.symbolKey('models', symbol);
+        const models = this.getModels(symbol);
+        models[modelName] = this.getDefaultValue('models')[modelName] || { accuracy: 0, predictions: 0, correct: 0 };
+        this.setItem(key, models);
+    },
+
+    /**
+     * Get model performance data (aggregate, or for one symbol)
      */
-    getModels() {
-        return this.getItem('models') || this.getDefaultValue('models');
+    getModels(symbol = null) {
+        return this.getItem(this.symbolKey('models', symbol)) || this.getDefaultValue('models');
     },
 
     /**
      * Save Q-table for RL model
      */
-    saveQTable(qTable) {
+    saveQTable(qTable, symbol = null) {
         try {
-            const models = this.getModels();
+            const models = this.getModels(symbol);
             models.reinforcementLearning.qTable = qTable;
-            this.setItem('models', models);
+            this.setItem(this.symbolKey('models', symbol), models);
         } catch (e) {
             Utils.log('Failed to save Q-table', 'error', e);
         }
@@ -297,11 +753,39 @@ const Storage = {
     /**
      * Get Q-table for RL model
      */
-    getQTable() {
-        const models = this.getModels();
+    getQTable(symbol = null) {
+        const models = this.getModels(symbol);
         return models.reinforcementLearning?.qTable || {};
     },
 
+    /**
+     * Get stacking meta-learner state
+     */
+    getMetaLearner(symbol = null) {
+        return this.getItem(this.symbolKey('metaLearner', symbol)) || this.getDefaultValue('metaLearner');
+    },
+
+    /**
+     * Save stacking meta-learner state
+     */
+    saveMetaLearner(learner, symbol = null) {
+        this.setItem(this.symbolKey('metaLearner', symbol), learner);
+    },
+
+    /**
+     * Get variable-order Markov chain counts (null if none saved yet)
+     */
+    getMarkovChain(symbol = null) {
+        return this.getItem(this.symbolKey('markov', symbol));
+    },
+
+    /**
+     * Save variable-order Markov chain counts
+     */
+    saveMarkovChain(chain, symbol = null) {
+        this.setItem(this.symbolKey('markov', symbol), chain);
+    },
+
     /**
      * Save settings
      */
@@ -320,6 +804,8 @@ const Storage = {
      * Generic set item with compression
      */
     setItem(key, value) {
+        if (this.readOnly) return;
+
         try {
             const fullKey = `${CONFIG.storage.prefix}${key}`;
             const data = CONFIG.storage.compressionEnabled 
@@ -333,6 +819,8 @@ const Storage = {
 
     /**
      * Generic get item with decompression
+     * Entries are decoded by their format (compressed, plain or legacy base64),
+     * so they stay readable after compressionEnabled is toggled.
      */
     getItem(key) {
         try {
@@ -341,15 +829,108 @@ const Storage = {
             
             if (!data) return null;
 
-            return CONFIG.storage.compressionEnabled
-                ? Utils.decompressData(data)
-                : JSON.parse(data);
+            return Utils.decompressData(data);
         } catch (e) {
             Utils.log(`Failed to get item: ${key}`, 'error', e);
             return null;
         }
     },
 
+    /**
+     * Stored (encoded) entries for the given keys and their per-symbol variants, by full key
+     */
+    getRawItems(keys) {
+        const prefixes = keys.map(key => `${CONFIG.storage.prefix}${key}`);
+        const items = {};
+
+        Object.keys(localStorage)
+            .filter(fullKey => prefixes.some(prefix => fullKey === prefix || fullKey.startsWith(`${prefix}_`)))
+            .forEach(fullKey => {
+                items[fullKey] = localStorage.getItem(fullKey);
+            });
+        return items;
+    },
+
+    /**
+     * Write entries encoded elsewhere by setItem (the analysis worker); null removes
+     */
+    setRawItems(items) {
+        if (this.readOnly) return;
+
+        Object.entries(items).forEach(([fullKey, data]) => {
+            try {
+                if (data === null) {
+                    localStorage.removeItem(fullKey);
+                } else {
+                    localStorage.setItem(fullKey, data);
+                }
+            } catch (e) {
+                Utils.log(`Failed to set item: ${fullKey}`, 'error', e);
+            }
+        });
+    },
+
+    /**
+     * Stored keys holding per-symbol state for the SYMBOL_SCOPES, without the prefix
+     */
+    getSymbolKeys() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(CONFIG.storage.prefix))
+            .map(key => key.slice(CONFIG.storage.prefix.length))
+            .filter(key => this.SYMBOL_SCOPES.some(scope => key.startsWith(`${scope}_`)));
+    },
+
+    /**
+     * Data snapshot for backups and Firebase: ticks, trades, the SNAPSHOT_KEYS and
+     * per-symbol state as { symbols: { R_100: { models, metaLearner, markov } } }
+     */
+    getSnapshot() {
+        const snapshot = { ticks: this.getTicks(), trades: this.getTrades(), symbols: {} };
+
+        this.SNAPSHOT_KEYS.forEach(key => {
+            const value = this.getItem(key);
+            if (value !== null) snapshot[key] = value;
+        });
+
+        this.getSymbolKeys().forEach(key => {
+            const scope = this.SYMBOL_SCOPES.find(name => key.startsWith(`${name}_`));
+            const symbol = key.slice(scope.length + 1);
+            const value = this.getItem(key);
+            if (value !== null) {
+                snapshot.symbols[symbol] = { ...snapshot.symbols[symbol], [scope]: value };
+            }
+        });
+        return snapshot;
+    },
+
+    /**
+     * Write an upgraded snapshot over the stored data. Per-symbol state is replaced
+     * as a whole when the snapshot carries it.
+     * @returns {Promise<void>} settles once the performance figures are rebuilt
+     */
+    applySnapshot(data) {
+        if (this.readOnly) return Promise.resolve();
+
+        if (data.ticks) this.replaceRecords('ticks', data.ticks);
+        const trades = data.trades ? this.replaceRecords('trades', data.trades) : Promise.resolve();
+
+        this.SNAPSHOT_KEYS.forEach(key => {
+            if (data[key]) this.setItem(key, data[key]);
+        });
+
+        if (data.symbols) {
+            this.getSymbolKeys().forEach(key => localStorage.removeItem(`${CONFIG.storage.prefix}${key}`));
+            Object.entries(data.symbols).forEach(([symbol, state]) => {
+                this.SYMBOL_SCOPES.forEach(scope => {
+                    if (state?.[scope]) this.setItem(this.symbolKey(scope, symbol), state[scope]);
+                });
+            });
+        }
+
+        // The snapshot's performance may predate the running totals
+        return trades.then(() => this.rebuildPerformanceStats());
+    },
+
     /**
      * Backup all data
      */
@@ -357,11 +938,8 @@ const Storage = {
         try {
             const backup = {
                 timestamp: Date.now(),
-                ticks: this.getTicks(),
-                trades: this.getTrades(),
-                performance: this.getPerformance(),
-                models: this.getModels(),
-                settings: this.getSettings()
+                version: this.SCHEMA_VERSION,
+                ...this.getSnapshot()
             };
 
             Utils.exportToJSON(backup, 'deriv_bot_backup');
@@ -373,21 +951,20 @@ const Storage = {
     },
 
     /**
-     * Restore data from backup
+     * Restore data from backup, upgrading it to the current schema first
      */
     restoreData(backupData) {
         try {
-            if (backupData.ticks) this.setItem('ticks', backupData.ticks);
-            if (backupData.trades) this.setItem('trades', backupData.trades);
-            if (backupData.performance) this.setItem('performance', backupData.performance);
-            if (backupData.models) this.setItem('models', backupData.models);
-            if (backupData.settings) this.setItem('settings', backupData.settings);
+            if (this.readOnly) {
+                throw new Error('saved data is from a newer version and is read-only');
+            }
+            this.applySnapshot(this.upgradeSnapshot(backupData));
 
             Utils.notify('Restore Complete', 'Data restored successfully', 'success');
             return true;
         } catch (e) {
             Utils.log('Failed to restore data', 'error', e);
-            Utils.notify('Restore Failed', 'Failed to restore data', 'error');
+            Utils.notify('Restore Failed', `Failed to restore data: ${e.message}`, 'error');
             return false;
         }
     },
@@ -396,11 +973,21 @@ const Storage = {
      * Clear all data
      */
     clearAll() {
+        if (this.readOnly) {
+            Utils.notify('Storage Read-Only', 'Saved data is from a newer version and was not cleared', 'warning');
+            return;
+        }
+
         try {
-            const keys = ['ticks', 'trades', 'performance', 'models', 'logs'];
+            RECORD_STORES.forEach(store => this.replaceRecords(store, []));
+
+            const keys = [...this.SNAPSHOT_KEYS.filter(key => key !== 'settings'), 'logs'];
             keys.forEach(key => {
                 localStorage.removeItem(`${CONFIG.storage.prefix}${key}`);
             });
+
+            // Per-symbol model state
+            this.getSymbolKeys().forEach(key => localStorage.removeItem(`${CONFIG.storage.prefix}${key}`));
             this.ensureStorageStructure();
             Utils.notify('Data Cleared', 'All data has been cleared', 'success');
         } catch (e) {
@@ -409,16 +996,36 @@ const Storage = {
     },
 
     /**
-     * Get storage size
+     * Get storage size in characters, with per-entry compression ratios
+     * (ratio = uncompressed JSON length / stored length)
      */
     getStorageSize() {
         let total = 0;
+        let rawTotal = 0;
+        const entries = {};
+
         for (let key in localStorage) {
-            if (key.startsWith(CONFIG.storage.prefix)) {
-                total += localStorage[key].length + key.length;
-            }
+            if (!key.startsWith(CONFIG.storage.prefix)) continue;
+
+            const stored = localStorage[key];
+            const value = Utils.decompressData(stored);
+            const raw = value === null ? stored.length : JSON.stringify(value).length;
+
+            entries[key.slice(CONFIG.storage.prefix.length)] = {
+                stored: stored.length,
+                raw,
+                ratio: stored.length > 0 ? raw / stored.length : 1
+            };
+            total += stored.length + key.length;
+            rawTotal += raw + key.length;
         }
-        return total;
+
+        return {
+            total,
+            raw: rawTotal,
+            ratio: total > 0 ? rawTotal / total : 1,
+            entries
+        };
     }
 };
 
@@ -0,0 +1,823 @@
+#!/usr/bin/env node
+// tools/mock-deriv-server.js - Local stand-in for the Deriv v3 WebSocket API
+//
+// Speaks the subset of the protocol the bot uses (authorize, ticks,
+// ticks_history, balance, proposal, buy, proposal_open_contract, portfolio,
+// profit_table, ping, forget) with seeded or scripted tick streams, configurable latency,
+// dropped connections and error injection. Account state (balance, open
+// contracts and settled transactions) is kept per token, so it survives
+// dropped connections and reconnects, and contracts settle while no client
+// is connected.
+// No dependencies: the WebSocket handshake and framing use Node built-ins.
+//
+// Usage:
+//   node tools/mock-deriv-server.js --port=8765 --seed=42 --tick-interval=1000
+//
+// Then point the bot at it from the browser console (persisted with settings):
+//   CONFIG.api.wsUrl = 'ws://localhost:8765/websockets/v3'
+// Any token of 11+ alphanumeric characters authorizes, except 'invalid_token'.
+//
+// Smoke test (connect, authorize, price, buy, settle, reconnect):
+//   node tools/mock-deriv-smoke.js
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Decimal places of every quote; sent as pip_size with ticks and history
+const PIP_SIZE = 2;
+const PIPS_PER_UNIT = Math.pow(10, PIP_SIZE);
+
+const DEFAULT_OPTIONS = {
+    port: 8765,
+    seed: 42,
+    tickInterval: 1000,  // ms between ticks on every symbol
+    latency: 0,          // ms added to every response
+    jitter: 0,           // up to this many extra ms per response
+    script: null,        // JSON file with quotes, or digits 0-9, replayed in a loop
+    historySize: 1000,   // ticks generated before startup for ticks_history (max 5000 kept)
+    dropAfter: 0,        // abruptly drop each connection after N ticks sent (0 = never)
+    dropRate: 0,         // probability per tick of abruptly dropping the connection
+    errorRate: 0,        // probability an eligible request gets an injected error
+    errorTypes: ['buy'], // request types eligible for injected errors
+    houseEdge: 0.025,    // payout = (1 - houseEdge) * 10 / winning digits
+    balance: 10000,
+    currency: 'USD',
+    quiet: false
+};
+
+/**
+ * Seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const MAX_HISTORY = 5000;
+
+/**
+ * Tick generator for one symbol: seeded random walk or scripted replay
+ *
+ * Random walks start `historySize` ticks in the past so ticks_history has
+ * data to serve; scripted replays start live at the first script entry.
+ */
+function createTickSource(symbol, options, script) {
+    const symbolSeed = [...symbol].reduce((sum, ch) => sum + ch.charCodeAt(0), options.seed);
+    const random = createRandom(symbolSeed);
+    const historySize = script ? 0 : Math.min(options.historySize, MAX_HISTORY);
+    let epoch = Math.floor(Date.now() / 1000) - historySize;
+    // The walk moves in whole pips so every last digit, 0 included, is equally likely
+    let pips = (1000 + Math.floor(random() * 9000)) * PIPS_PER_UNIT;
+    let index = 0;
+    const history = [];
+
+    const source = {
+        next() {
+            epoch++;
+
+            if (script) {
+                const value = script[index % script.length];
+                index++;
+                // A scripted digit replaces the last pip
+                pips = script.isDigits ? Math.floor(pips / 10) * 10 + value : Math.round(value * PIPS_PER_UNIT);
+            } else {
+                pips = Math.max(PIPS_PER_UNIT, pips + Math.round((random() - 0.5) * 2 * PIPS_PER_UNIT));
+            }
+
+            const quote = pips / PIPS_PER_UNIT;
+            history.push({ epoch, quote });
+            if (history.length > MAX_HISTORY) history.shift();
+
+            return { symbol, quote, epoch, id: crypto.randomUUID(), pip_size: PIP_SIZE };
+        },
+
+        last() {
+            return history[history.length - 1];
+        },
+
+        /**
+         * Latest `count` ticks with start <= epoch <= end
+         */
+        history(start, end, count) {
+            const inRange = history.filter(t => t.epoch >= start && t.epoch <= end);
+            return inRange.slice(-count);
+        }
+    };
+
+    for (let i = 0; i < historySize; i++) source.next();
+
+    return source;
+}
+
+/**
+ * Load a tick script: an array of quotes, or of digits 0-9
+ */
+function loadScript(path) {
+    const values = JSON.parse(fs.readFileSync(path, 'utf8')).map(Number);
+    values.isDigits = values.every(v => Number.isInteger(v) && v >= 0 && v <= 9);
+    return values;
+}
+
+/**
+ * Digits that win for a contract type and barrier
+ */
+function winningDigits(contractType, barrier) {
+    const digits = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+    const b = parseInt(barrier);
+
+    switch (contractType) {
+        case 'DIGITEVEN': return digits.filter(d => d % 2 === 0);
+        case 'DIGITODD': return digits.filter(d => d % 2 === 1);
+        case 'DIGITMATCH': return digits.filter(d => d === b);
+        case 'DIGITDIFF': return digits.filter(d => d !== b);
+        case 'DIGITOVER': return digits.filter(d => d > b);
+        case 'DIGITUNDER': return digits.filter(d => d < b);
+        default: return [];
+    }
+}
+
+/**
+ * Last digit of a quote at PIP_SIZE decimals, as the bot reads it
+ */
+function lastDigit(quote) {
+    return parseInt(quote.toFixed(PIP_SIZE).slice(-1));
+}
+
+/**
+ * Encode a server-to-client WebSocket frame
+ */
+function encodeFrame(payload, opcode = 0x1) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Parse complete client frames from a buffer
+ * @returns {{ frames: Array, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+        cursor += maskLength;
+
+        const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+        offset = cursor + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Create and start a mock server
+ * @returns {Promise<{ port: number, close: Function, options: Object }>}
+ */
+function createMockServer(overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const script = options.script ? loadScript(options.script) : null;
+    const random = createRandom(options.seed ^ 0x5bd1e995);
+    const log = (...args) => { if (!options.quiet) console.log('[mock-deriv]', ...args); };
+
+    const tickSources = new Map();
+    const connections = new Set();
+    const accounts = new Map(); // token -> { loginid, balance, contracts, transactions }
+    let nextContractId = 100000;
+
+    function getTickSource(symbol) {
+        if (!tickSources.has(symbol)) {
+            tickSources.set(symbol, createTickSource(symbol, options, script));
+        }
+        return tickSources.get(symbol);
+    }
+
+    function getAccount(token) {
+        if (!accounts.has(token)) {
+            accounts.set(token, {
+                loginid: `VRTC${1000000 + accounts.size}`,
+                balance: options.balance,
+                contracts: new Map(), // contract id -> contract, open and sold
+                transactions: [] // settled contracts, oldest first
+            });
+        }
+        return accounts.get(token);
+    }
+
+    // ---- Connection handling -------------------------------------------
+
+    function createConnection(socket) {
+        const conn = {
+            socket,
+            buffer: Buffer.alloc(0),
+            fragments: [],
+            account: null, // set by authorize
+            subscriptions: new Map(), // subscription id -> { type, symbol?, contractId?, reqId }
+            proposals: new Map(), // proposal id -> contract parameters
+            ticksSent: 0,
+            closed: false
+        };
+        connections.add(conn);
+
+        socket.on('data', (chunk) => {
+            conn.buffer = Buffer.concat([conn.buffer, chunk]);
+            const { frames, rest } = decodeFrames(conn.buffer);
+            conn.buffer = rest;
+            frames.forEach(frame => handleFrame(conn, frame));
+        });
+        socket.on('close', () => closeConnection(conn));
+        socket.on('error', () => closeConnection(conn));
+
+        return conn;
+    }
+
+    function closeConnection(conn) {
+        if (conn.closed) return;
+        conn.closed = true;
+        connections.delete(conn);
+        conn.socket.destroy();
+    }
+
+    function dropConnection(conn, reason) {
+        log(`dropping connection (${reason})`);
+        // Destroy without a close frame so the client sees an unclean close
+        closeConnection(conn);
+    }
+
+    function handleFrame(conn, frame) {
+        switch (frame.opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+                conn.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(conn.fragments).toString('utf8');
+                    conn.fragments = [];
+                    handleText(conn, text);
+                }
+                break;
+            case 0x8: // close
+                if (!conn.closed) conn.socket.write(encodeFrame(frame.payload.subarray(0, 2), 0x8));
+                closeConnection(conn);
+                break;
+            case 0x9: // ping
+                conn.socket.write(encodeFrame(frame.payload, 0xA));
+                break;
+            default:
+                break;
+        }
+    }
+
+    function send(conn, message) {
+        const delay = options.latency + (options.jitter > 0 ? Math.floor(random() * options.jitter) : 0);
+        const write = () => {
+            if (!conn.closed) conn.socket.write(encodeFrame(JSON.stringify(message)));
+        };
+        if (delay > 0) {
+            setTimeout(write, delay);
+        } else {
+            write();
+        }
+    }
+
+    function reply(conn, request, msgType, body) {
+        const message = { echo_req: request, msg_type: msgType, ...body };
+        if (request.req_id !== undefined) message.req_id = request.req_id;
+        send(conn, message);
+    }
+
+    function replyError(conn, request, msgType, code, message) {
+        reply(conn, request, msgType, { error: { code, message } });
+    }
+
+    function addSubscription(conn, details) {
+        const id = crypto.randomUUID();
+        conn.subscriptions.set(id, details);
+        return id;
+    }
+
+    /**
+     * Payout for a stake-basis digit contract, or null if it cannot be priced
+     */
+    function priceContract(params) {
+        const stake = parseFloat(params.amount);
+        const winning = winningDigits(params.contract_type, params.barrier);
+        if (winning.length === 0 || !(stake > 0)) return null;
+        return parseFloat((stake * (1 - options.houseEdge) * 10 / winning.length).toFixed(2));
+    }
+
+    // ---- Request dispatch ----------------------------------------------
+
+    const handlers = {
+        authorize(conn, request) {
+            const token = String(request.authorize || '');
+            if (token.length <= 10 || token === 'invalid_token') {
+                return replyError(conn, request, 'authorize', 'InvalidToken', 'The token is invalid.');
+            }
+            conn.account = getAccount(token);
+            reply(conn, request, 'authorize', {
+                authorize: {
+                    loginid: conn.account.loginid,
+                    balance: conn.account.balance,
+                    currency: options.currency,
+                    email: 'mock@example.com',
+                    fullname: 'Mock Trader',
+                    is_virtual: 1,
+                    landing_company_name: 'virtual',
+                    scopes: ['read', 'trade']
+                }
+            });
+        },
+
+        ticks(conn, request) {
+            const symbol = request.ticks;
+            const tick = getTickSource(symbol).next();
+            const body = { tick };
+            if (request.subscribe) {
+                const id = addSubscription(conn, { type: 'ticks', symbol, request });
+                body.subscription = { id };
+                tick.id = id;
+            }
+            reply(conn, request, 'tick', body);
+        },
+
+        ticks_history(conn, request) {
+            const end = request.end === 'latest' || request.end === undefined ? Infinity : parseInt(request.end);
+            const start = parseInt(request.start) || 0;
+            const count = Math.min(parseInt(request.count) || 5000, MAX_HISTORY);
+            const ticks = getTickSource(request.ticks_history).history(start, end, count);
+
+            reply(conn, request, 'history', {
+                history: {
+                    prices: ticks.map(t => t.quote),
+                    times: ticks.map(t => t.epoch)
+                },
+                pip_size: PIP_SIZE
+            });
+        },
+
+        balance(conn, request) {
+            if (!conn.account) {
+                return replyError(conn, request, 'balance', 'AuthorizationRequired', 'Please log in.');
+            }
+
+            const body = { balance: balanceView(conn.account) };
+            if (request.subscribe) {
+                const id = addSubscription(conn, { type: 'balance', request });
+                body.subscription = { id };
+                body.balance.id = id;
+            }
+            reply(conn, request, 'balance', body);
+        },
+
+        proposal(conn, request) {
+            const params = { ...request };
+            delete params.proposal;
+            delete params.req_id;
+
+            const payout = priceContract(params);
+            if (payout === null) {
+                return replyError(conn, request, 'proposal', 'ContractCreationFailure', 'Invalid contract parameters.');
+            }
+
+            const id = crypto.randomUUID();
+            conn.proposals.set(id, params);
+            reply(conn, request, 'proposal', {
+                proposal: {
+                    id,
+                    ask_price: parseFloat(params.amount),
+                    payout,
+                    spot: getTickSource(params.symbol).last()?.quote ?? null,
+                    date_start: Math.floor(Date.now() / 1000),
+                    longcode: `Win payout if the last digit of ${params.symbol} is ${params.contract_type} after ${params.duration} ticks.`
+                }
+            });
+        },
+
+        buy(conn, request) {
+            const account = conn.account;
+            if (!account) {
+                return replyError(conn, request, 'buy', 'AuthorizationRequired', 'Please log in.');
+            }
+
+            // Buy a priced proposal by id, or price the parameters inline
+            let params = request.parameters || {};
+            if (typeof request.buy === 'string') {
+                params = conn.proposals.get(request.buy);
+                if (!params) {
+                    return replyError(conn, request, 'buy', 'InvalidContractProposal', 'Proposal not found or already used.');
+                }
+                conn.proposals.delete(request.buy);
+            }
+
+            const stake = parseFloat(params.amount);
+            const payout = priceContract(params);
+
+            if (payout === null) {
+                return replyError(conn, request, 'buy', 'ContractCreationFailure', 'Invalid contract parameters.');
+            }
+            if (parseFloat(request.price) < stake) {
+                return replyError(conn, request, 'buy', 'ContractBuyValidationError', 'Contract price is above your maximum price.');
+            }
+            if (stake > account.balance) {
+                return replyError(conn, request, 'buy', 'InsufficientBalance', 'Your account balance is insufficient for this transaction.');
+            }
+
+            const duration = parseInt(params.duration) || 1;
+            const date_start = Math.floor(Date.now() / 1000);
+            const contract = {
+                contract_id: nextContractId++,
+                contract_type: params.contract_type,
+                barrier: params.barrier,
+                underlying: params.symbol,
+                currency: params.currency || options.currency,
+                buy_price: stake,
+                payout,
+                duration,
+                tick_count: 0,
+                date_start,
+                purchase_time: date_start,
+                is_sold: 0,
+                status: 'open',
+                longcode: `Win payout if the last digit of ${params.symbol} is ${params.contract_type} after ${duration} ticks.`,
+                shortcode: `${params.contract_type}_${params.symbol}_${payout}_${date_start}_${duration}T`,
+                transaction_id: nextContractId * 10
+            };
+
+            account.balance = parseFloat((account.balance - stake).toFixed(2));
+            publishBalance(account);
+            account.contracts.set(contract.contract_id, contract);
+
+            reply(conn, request, 'buy', {
+                buy: {
+                    balance_after: account.balance,
+                    buy_price: stake,
+                    contract_id: contract.contract_id,
+                    longcode: contract.longcode,
+                    payout,
+                    purchase_time: contract.date_start,
+                    shortcode: contract.shortcode,
+                    start_time: contract.date_start,
+                    transaction_id: contract.transaction_id
+                }
+            });
+
+            if (request.subscribe) {
+                addSubscription(conn, {
+                    type: 'proposal_open_contract',
+                    contractId: contract.contract_id,
+                    request
+                });
+            }
+        },
+
+        proposal_open_contract(conn, request) {
+            if (!conn.account) {
+                return replyError(conn, request, 'proposal_open_contract', 'AuthorizationRequired', 'Please log in.');
+            }
+
+            const contract = conn.account.contracts.get(parseInt(request.contract_id));
+            if (!contract) {
+                return replyError(conn, request, 'proposal_open_contract', 'InvalidContractId', 'Contract not found.');
+            }
+
+            const body = { proposal_open_contract: contractView(contract) };
+            if (request.subscribe && !contract.is_sold) {
+                const id = addSubscription(conn, { type: 'proposal_open_contract', contractId: contract.contract_id, request });
+                body.subscription = { id };
+            }
+            reply(conn, request, 'proposal_open_contract', body);
+        },
+
+        portfolio(conn, request) {
+            if (!conn.account) {
+                return replyError(conn, request, 'portfolio', 'AuthorizationRequired', 'Please log in.');
+            }
+
+            const contracts = [...conn.account.contracts.values()]
+                .filter(contract => !contract.is_sold)
+                .map(contract => ({
+                    buy_price: contract.buy_price,
+                    contract_id: contract.contract_id,
+                    contract_type: contract.contract_type,
+                    currency: contract.currency,
+                    date_start: contract.date_start,
+                    longcode: contract.longcode,
+                    payout: contract.payout,
+                    purchase_time: contract.purchase_time,
+                    shortcode: contract.shortcode,
+                    symbol: contract.underlying,
+                    transaction_id: contract.transaction_id
+                }));
+            reply(conn, request, 'portfolio', { portfolio: { contracts } });
+        },
+
+        /**
+         * Settled contracts, newest first unless sort is 'ASC'; date_from/date_to
+         * bound the purchase time (epoch seconds)
+         */
+        profit_table(conn, request) {
+            if (!conn.account) {
+                return replyError(conn, request, 'profit_table', 'AuthorizationRequired', 'Please log in.');
+            }
+
+            const from = parseInt(request.date_from) || 0;
+            const to = parseInt(request.date_to) || Infinity;
+            const limit = Math.min(parseInt(request.limit) || 50, 500);
+            const offset = parseInt(request.offset) || 0;
+
+            let transactions = conn.account.transactions
+                .filter(t => t.purchase_time >= from && t.purchase_time <= to);
+            if (request.sort !== 'ASC') transactions = transactions.slice().reverse();
+            transactions = transactions.slice(offset, offset + limit);
+
+            reply(conn, request, 'profit_table', { profit_table: { count: transactions.length, transactions } });
+        },
+
+        ping(conn, request) {
+            reply(conn, request, 'ping', { ping: 'pong' });
+        },
+
+        forget(conn, request) {
+            const removed = conn.subscriptions.delete(request.forget);
+            reply(conn, request, 'forget', { forget: removed ? 1 : 0 });
+        },
+
+        forget_all(conn, request) {
+            const types = [].concat(request.forget_all);
+            const removed = [];
+            conn.subscriptions.forEach((sub, id) => {
+                if (types.includes(sub.type)) {
+                    conn.subscriptions.delete(id);
+                    removed.push(id);
+                }
+            });
+            reply(conn, request, 'forget_all', { forget_all: removed });
+        }
+    };
+
+    function handleText(conn, text) {
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch (e) {
+            return send(conn, { error: { code: 'InputValidationFailed', message: 'Invalid JSON' }, msg_type: 'error' });
+        }
+
+        const type = Object.keys(handlers).find(name => request[name] !== undefined);
+        if (!type) {
+            return replyError(conn, request, 'error', 'UnrecognisedRequest', 'Unrecognised request.');
+        }
+
+        if (options.errorTypes.includes(type) && random() < options.errorRate) {
+            log(`injecting error into ${type}`);
+            return replyError(conn, request, type === 'ticks' ? 'tick' : type, 'MockInjectedError', `Injected ${type} failure.`);
+        }
+
+        handlers[type](conn, request);
+    }
+
+    // ---- Streaming -----------------------------------------------------
+
+    function balanceView(account) {
+        return { balance: account.balance, currency: options.currency, loginid: account.loginid };
+    }
+
+    /**
+     * Connections authorized on an account
+     */
+    function accountConnections(account) {
+        return [...connections].filter(conn => conn.account === account);
+    }
+
+    function publishBalance(account) {
+        accountConnections(account).forEach(conn => {
+            conn.subscriptions.forEach((sub, id) => {
+                if (sub.type !== 'balance') return;
+                reply(conn, sub.request, 'balance', { balance: { ...balanceView(account), id }, subscription: { id } });
+            });
+        });
+    }
+
+    function contractView(contract) {
+        return { ...contract };
+    }
+
+    /**
+     * Move an account's open contracts on a symbol forward by a tick, settling
+     * those that expire, and stream them to the account's subscribers
+     */
+    function advanceContracts(account, tick) {
+        account.contracts.forEach(contract => {
+            if (contract.is_sold || contract.underlying !== tick.symbol) return;
+
+            contract.tick_count++;
+            contract.current_spot = tick.quote;
+            contract.current_spot_time = tick.epoch;
+            if (contract.tick_count === 1) {
+                contract.entry_tick = tick.quote;
+                contract.entry_tick_time = tick.epoch;
+            }
+
+            if (contract.tick_count >= contract.duration) {
+                const won = winningDigits(contract.contract_type, contract.barrier).includes(lastDigit(tick.quote));
+                contract.is_sold = 1;
+                contract.is_expired = 1;
+                contract.status = won ? 'won' : 'lost';
+                contract.exit_tick = tick.quote;
+                contract.exit_tick_time = tick.epoch;
+                contract.sell_price = won ? contract.payout : 0;
+                contract.profit = parseFloat((contract.sell_price - contract.buy_price).toFixed(2));
+                contract.sell_time = tick.epoch;
+                account.balance = parseFloat((account.balance + contract.sell_price).toFixed(2));
+                account.transactions.push({
+                    app_id: 1,
+                    buy_price: contract.buy_price,
+                    contract_id: contract.contract_id,
+                    contract_type: contract.contract_type,
+                    longcode: contract.longcode,
+                    payout: contract.payout,
+                    purchase_time: contract.purchase_time,
+                    sell_price: contract.sell_price,
+                    sell_time: contract.sell_time,
+                    shortcode: contract.shortcode,
+                    transaction_id: contract.transaction_id
+                });
+                publishBalance(account);
+            }
+
+            accountConnections(account).forEach(conn => {
+                conn.subscriptions.forEach((sub, id) => {
+                    if (sub.type !== 'proposal_open_contract' || sub.contractId !== contract.contract_id) return;
+                    reply(conn, sub.request, 'proposal_open_contract', {
+                        proposal_open_contract: contractView(contract),
+                        subscription: { id }
+                    });
+                    if (contract.is_sold) conn.subscriptions.delete(id);
+                });
+            });
+        });
+    }
+
+    function broadcastTicks() {
+        const symbols = new Set();
+        connections.forEach(conn => {
+            conn.subscriptions.forEach(sub => { if (sub.type === 'ticks') symbols.add(sub.symbol); });
+        });
+        // Open contracts keep ticking with no client connected
+        accounts.forEach(account => {
+            account.contracts.forEach(c => { if (!c.is_sold) symbols.add(c.underlying); });
+        });
+
+        symbols.forEach(symbol => {
+            const tick = getTickSource(symbol).next();
+
+            connections.forEach(conn => {
+                conn.subscriptions.forEach((sub, id) => {
+                    if (sub.type !== 'ticks' || sub.symbol !== symbol) return;
+                    reply(conn, sub.request, 'tick', { tick: { ...tick, id }, subscription: { id } });
+                    conn.ticksSent++;
+                });
+            });
+            accounts.forEach(account => advanceContracts(account, tick));
+
+            [...connections].forEach(conn => {
+                if (options.dropAfter > 0 && conn.ticksSent >= options.dropAfter) {
+                    dropConnection(conn, `dropAfter=${options.dropAfter}`);
+                } else if (options.dropRate > 0 && random() < options.dropRate) {
+                    dropConnection(conn, `dropRate=${options.dropRate}`);
+                }
+            });
+        });
+    }
+
+    // ---- HTTP server ---------------------------------------------------
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Mock Deriv API: connect with a WebSocket client\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        log(`client connected (${req.url})`);
+        createConnection(socket);
+    });
+
+    const tickTimer = setInterval(broadcastTicks, options.tickInterval);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port, () => {
+            const { port } = server.address();
+            log(`listening on ws://localhost:${port}/websockets/v3`);
+            resolve({
+                port,
+                options,
+                close() {
+                    clearInterval(tickTimer);
+                    connections.forEach(conn => closeConnection(conn));
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Parse --kebab-case=value flags into options
+ */
+function parseArgs(argv) {
+    const options = {};
+    argv.forEach(arg => {
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) return;
+
+        const key = match[1].replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+        const raw = match[2] === undefined ? 'true' : match[2];
+
+        if (key === 'errorTypes') {
+            options[key] = raw.split(',').map(s => s.trim()).filter(Boolean);
+        } else if (raw === 'true' || raw === 'false') {
+            options[key] = raw === 'true';
+        } else if (raw !== '' && !isNaN(Number(raw))) {
+            options[key] = Number(raw);
+        } else {
+            options[key] = raw;
+        }
+    });
+    return options;
+}
+
+if (require.main === module) {
+    createMockServer(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error('[mock-deriv] failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createMockServer, parseArgs, decodeFrames, DEFAULT_OPTIONS };
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// tools/mock-deriv-smoke.js - Smoke test for the mock Deriv server
+//
+// Starts the mock on a free port and walks a client through authorize, ticks,
+// proposal, buy and settlement, then drops the connection mid-contract and
+// checks the account is intact after reconnecting with the same token, as
+// the bot's reconciliation reads it (portfolio, proposal_open_contract and
+// profit_table).
+// Exits non-zero on the first failure.
+//
+// Usage:
+//   node tools/mock-deriv-smoke.js
+
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+const { createMockServer, decodeFrames } = require('./mock-deriv-server');
+
+const TOKEN = 'smokeTestToken01';
+const TIMEOUT = 5000;
+
+/**
+ * Encode a masked client-to-server text frame
+ */
+function encodeClientFrame(text) {
+    const data = Buffer.from(text);
+    const mask = crypto.randomBytes(4);
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([0x81, 0x80 | data.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(data.length, 2);
+    }
+
+    const payload = Buffer.from(data);
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, payload]);
+}
+
+/**
+ * Minimal WebSocket client: request/response by req_id and waits on streamed messages
+ */
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            path: '/websockets/v3',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        request.on('error', reject);
+        request.on('upgrade', (res, socket) => {
+            const messages = [];
+            const waiters = [];
+            let buffer = Buffer.alloc(0);
+            let nextReqId = 1;
+
+            const dispatch = () => {
+                waiters.slice().forEach(waiter => {
+                    const index = messages.findIndex(waiter.match);
+                    if (index < 0) return;
+                    const [message] = messages.splice(index, 1);
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    clearTimeout(waiter.timer);
+                    waiter.resolve(message);
+                });
+            };
+
+            socket.on('data', chunk => {
+                const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+                buffer = rest;
+                frames.filter(frame => frame.opcode === 0x1).forEach(frame => {
+                    messages.push(JSON.parse(frame.payload.toString('utf8')));
+                });
+                dispatch();
+            });
+
+            const client = {
+                /**
+                 * Next message matching a predicate, received or still to come
+                 */
+                next(match, label = 'message') {
+                    return new Promise((done, fail) => {
+                        const waiter = { match, resolve: done };
+                        waiter.timer = setTimeout(() => {
+                            waiters.splice(waiters.indexOf(waiter), 1);
+                            fail(new Error(`Timed out waiting for ${label}`));
+                        }, TIMEOUT);
+                        waiters.push(waiter);
+                        dispatch();
+                    });
+                },
+
+                /**
+                 * Send a request and resolve with its response; API errors reject
+                 */
+                async send(message) {
+                    const req_id = nextReqId++;
+                    socket.write(encodeClientFrame(JSON.stringify({ ...message, req_id })));
+                    const response = await client.next(m => m.req_id === req_id, Object.keys(message)[0]);
+                    if (response.error) {
+                        throw Object.assign(new Error(response.error.message), { code: response.error.code });
+                    }
+                    return response;
+                },
+
+                // Drop the socket without a close frame, as a lost network would
+                drop() {
+                    socket.destroy();
+                }
+            };
+            resolve(client);
+        });
+        request.end();
+    });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function buyEven(client, stake, subscribe) {
+    const { proposal } = await client.send({
+        proposal: 1,
+        amount: stake,
+        basis: 'stake',
+        contract_type: 'DIGITEVEN',
+        currency: 'USD',
+        duration: 3,
+        duration_unit: 't',
+        symbol: 'R_10'
+    });
+    assert.ok(proposal.payout > stake, 'proposal pays more than the stake');
+
+    const { buy } = await client.send({ buy: proposal.id, price: stake, ...(subscribe ? { subscribe: 1 } : {}) });
+    assert.ok(buy.contract_id, 'buy returns a contract id');
+    return buy;
+}
+
+async function run() {
+    const server = await createMockServer({ port: 0, tickInterval: 20, quiet: true });
+    const step = text => console.log(`ok - ${text}`);
+
+    try {
+        // Connect and authorize
+        let client = await connect(server.port);
+        await assert.rejects(client.send({ authorize: 'invalid_token' }), { code: 'InvalidToken' });
+        const { authorize } = await client.send({ authorize: TOKEN });
+        assert.strictEqual(authorize.balance, server.options.balance);
+        step(`authorized as ${authorize.loginid}`);
+
+        // Stream ticks
+        const { tick } = await client.send({ ticks: 'R_10', subscribe: 1 });
+        assert.strictEqual(tick.symbol, 'R_10');
+        assert.strictEqual(tick.pip_size, 2);
+        await client.next(m => m.msg_type === 'tick' && m.subscription, 'streamed tick');
+        step('ticks stream');
+
+        // Price, buy and settle
+        const bought = await buyEven(client, 10, true);
+        assert.strictEqual(bought.balance_after, authorize.balance - 10);
+        const settled = await client.next(m => m.msg_type === 'proposal_open_contract' &&
+            m.proposal_open_contract.contract_id === bought.contract_id && m.proposal_open_contract.is_sold, 'settlement');
+        const contract = settled.proposal_open_contract;
+        assert.ok(['won', 'lost'].includes(contract.status));
+        assert.strictEqual(contract.sell_price, contract.status === 'won' ? contract.payout : 0);
+
+        const { balance } = await client.send({ balance: 1 });
+        assert.strictEqual(balance.balance, parseFloat((bought.balance_after + contract.sell_price).toFixed(2)));
+        step(`bought and settled contract ${contract.contract_id} (${contract.status})`);
+
+        // Drop the connection with a contract open; it settles while disconnected
+        const open = await buyEven(client, 5, false);
+        const { portfolio } = await client.send({ portfolio: 1 });
+        assert.deepStrictEqual(portfolio.contracts.map(c => c.contract_id), [open.contract_id]);
+        client.drop();
+        await wait(200);
+
+        client = await connect(server.port);
+        const { authorize: again } = await client.send({ authorize: TOKEN });
+        assert.strictEqual(again.loginid, authorize.loginid, 'same token, same account');
+
+        const { proposal_open_contract: reopened } = await client.send({ proposal_open_contract: 1, contract_id: open.contract_id });
+        assert.strictEqual(reopened.is_sold, 1, 'contract settled while disconnected');
+        assert.strictEqual(again.balance, parseFloat((open.balance_after + reopened.sell_price).toFixed(2)));
+        step('account kept balance and contracts across a dropped connection');
+
+        // Reconciliation after the reconnect
+        const { portfolio: after } = await client.send({ portfolio: 1 });
+        assert.strictEqual(after.contracts.length, 0, 'nothing left open');
+
+        const { profit_table } = await client.send({ profit_table: 1, sort: 'DESC', limit: 500 });
+        assert.deepStrictEqual(profit_table.transactions.map(t => t.contract_id), [open.contract_id, bought.contract_id]);
+        assert.strictEqual(profit_table.transactions[0].sell_price, reopened.sell_price);
+        assert.strictEqual(profit_table.transactions[1].buy_price, 10);
+        step('portfolio and profit_table reflect the settled contracts');
+
+        // Another token is another account
+        const { authorize: other } = await client.send({ authorize: 'smokeTestToken02' });
+        assert.notStrictEqual(other.loginid, authorize.loginid);
+        assert.strictEqual(other.balance, server.options.balance);
+        step('accounts are separate per token');
+
+        client.drop();
+        console.log('mock server smoke test passed');
+    } finally {
+        await server.close();
+    }
+}
+
+run().catch(error => {
+    console.error('not ok -', error.stack || error.message);
+    process.exit(1);
+});
@@ -0,0 +1,133 @@
+// trade-journal.js - Persistent Order Journal (one entry per order, with its state history)
+
+const TradeJournal = {
+    // Allowed transitions; settled, failed and cancelled are final
+    transitions: {
+        pending: ['proposed', 'failed', 'cancelled'],
+        proposed: ['bought', 'failed', 'cancelled'],
+        bought: ['open', 'settled', 'failed'],
+        open: ['settled', 'failed'],
+        settled: [],
+        failed: [],
+        cancelled: []
+    },
+
+    isFinal(state) {
+        return this.transitions[state].length === 0;
+    },
+
+    /**
+     * The parts of a prediction that explain a trade
+     */
+    snapshot(prediction) {
+        return Utils.deepClone({
+            finalPrediction: prediction.finalPrediction ?? null,
+            confidence: prediction.confidence ?? null,
+            reason: prediction.reason ?? null,
+            scores: prediction.scores ?? null,
+            modelBreakdown: prediction.modelBreakdown ?? [],
+            expectedReturn: prediction.expectedReturn ?? null,
+            timestamp: prediction.timestamp ?? null
+        });
+    },
+
+    /**
+     * Start a journal entry for an order in the pending state
+     * @param {Object} order - { symbol, prediction, contract, stake, duration, simulated }
+     * @returns {Object} the entry
+     */
+    create({ symbol, prediction, contract, stake, duration, simulated = false }) {
+        const now = Date.now();
+        const entry = {
+            id: Utils.generateId(),
+            timestamp: now,
+            updatedAt: now,
+            symbol,
+            state: 'pending',
+            contract,
+            stake,
+            duration,
+            simulated,
+            contractId: null,
+            tradeId: null,
+            result: null,
+            profit: null,
+            error: null,
+            prediction: this.snapshot(prediction),
+            steps: [{ state: 'pending', at: now }]
+        };
+
+        Storage.saveJournalEntry(entry);
+        return entry;
+    },
+
+    /**
+     * Move an order to its next state and record the step
+     * @param {Object|string} entryOrId - the entry or its id
+     * @param {string} state - the new state
+     * @param {Object} [details] - request, response, error and reason for the step, and
+     *   fields to set on the entry (contractId, tradeId, result, profit)
+     * @returns {Object} the updated entry
+     * @throws {Error} if the order is unknown or the transition is not allowed
+     */
+    transition(entryOrId, state, details = {}) {
+        const entry = typeof entryOrId === 'string' ? this.get(entryOrId) : entryOrId;
+        if (!entry) {
+            throw new Error(`Unknown order: ${entryOrId}`);
+        }
+        if (!this.transitions[entry.state]?.includes(state)) {
+            throw new Error(`Order ${entry.id} cannot move from ${entry.state} to ${state}`);
+        }
+
+        const { request, response, error, reason, ...fields } = details;
+        const now = Date.now();
+        const step = { state, at: now };
+        if (reason) step.reason = reason;
+        if (request !== undefined) step.request = Utils.deepClone(request);
+        if (response !== undefined) step.response = Utils.deepClone(response);
+        if (error) step.error = this.describeError(error);
+
+        Object.assign(entry, fields, { state, updatedAt: now });
+        if (step.error) entry.error = step.error;
+        entry.steps.push(step);
+
+        Storage.saveJournalEntry(entry);
+        return entry;
+    },
+
+    describeError(error) {
+        if (typeof error === 'string') return { code: null, message: error };
+        return { code: error.code ?? null, message: error.message ?? String(error) };
+    },
+
+    /**
+     * A recent entry by id
+     */
+    get(id) {
+        return Storage.getJournal().find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * The entry of a bought contract
+     */
+    findByContract(contractId) {
+        return Storage.getJournal().find(entry => entry.contractId === contractId) || null;
+    },
+
+    /**
+     * Query stored entries, newest first
+     * @param {Object} filter - { symbol, state, from, to (ms), limit }
+     * @returns {Promise<Array>}
+     */
+    async query({ symbol = null, state = null, from, to, limit = 100 } = {}) {
+        const entries = await Storage.queryJournal({ symbol, from, to, reverse: true });
+        return entries
+            .filter(entry => !state || entry.state === state || (state === 'active' && !this.isFinal(entry.state)))
+            .slice(0, limit);
+    }
+};
+
+// Export trade journal
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeJournal;
+}
@@ -1,6 +1,9 @@
 // utils.js - Utility Functions
 
 const Utils = {
+    // Account currency used for displayed amounts (set after authorization)
+    currency: 'USD',
+
     /**
      * Debounce function to limit rate of function calls
      */
@@ -33,13 +36,27 @@ const Utils = {
     /**
      * Format currency with proper decimal places
      */
-    formatCurrency(amount, currency = 'USD') {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: currency,
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(amount);
+    formatCurrency(amount, currency = Utils.currency) {
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency,
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }).format(amount);
+        } catch (e) {
+            // Codes Intl rejects, such as USDT
+            return `${Number(amount).toFixed(2)} ${currency}`;
+        }
+    },
+
+    /**
+     * Set the account currency used by formatCurrency
+     */
+    setCurrency(currency) {
+        if (currency) {
+            this.currency = currency;
+        }
     },
 
     /**
@@ -78,9 +95,12 @@ const Utils = {
 
     /**
      * Get last digit from number
+     * A quote loses trailing zeros as a number (1234.50 -> 1234.5), so pass the
+     * symbol's pip_size to read the digit at its full precision.
      */
-    getLastDigit(number) {
-        return parseInt(number.toString().slice(-1));
+    getLastDigit(number, pipSize = null) {
+        const text = Number.isInteger(pipSize) ? Number(number).toFixed(pipSize) : number.toString();
+        return parseInt(text.slice(-1));
     },
 
     /**
@@ -170,6 +190,21 @@ const Utils = {
         return JSON.parse(JSON.stringify(obj));
     },
 
+    /**
+     * Recursively merge plain objects; values from source win and arrays are replaced
+     */
+    deepMerge(target, source) {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const result = { ...target };
+
+        Object.entries(source || {}).forEach(([key, value]) => {
+            result[key] = isPlainObject(value) && isPlainObject(target[key])
+                ? this.deepMerge(target[key], value)
+                : value;
+        });
+        return result;
+    },
+
     /**
      * Validate API token format
      */
@@ -211,29 +246,255 @@ const Utils = {
     },
 
     /**
-     * Compress data using simple run-length encoding
+     * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+            t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    },
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     */
+    logGamma(x) {
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+            9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+        }
+
+        x -= 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) {
+            sum += coefficients[i] / (x + i);
+        }
+        const t = x + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    },
+
+    /**
+     * Upper-tail p-value of a chi-square statistic with df degrees of freedom
+     * (regularized incomplete gamma: series below a + 1, continued fraction above)
+     */
+    chiSquarePValue(chiSquare, df) {
+        if (!(chiSquare > 0)) return 1;
+
+        const a = df / 2;
+        const x = chiSquare / 2;
+        const logPrefix = a * Math.log(x) - x - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (term < sum * 1e-12) break;
+            }
+            return Math.min(1, Math.max(0, 1 - sum * Math.exp(logPrefix)));
+        }
+
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-12) break;
+        }
+        return Math.min(1, Math.max(0, Math.exp(logPrefix) * h));
+    },
+
+    // Header of LZW-compressed strings: 'LZ1:<code count>:<packed codes>'
+    COMPRESSION_HEADER: 'LZ1:',
+
+    /**
+     * Compress a value to a string: LZW over its UTF-8 JSON
+     *
+     * Codes grow from 9 to 16 bits and are packed 15 bits per character,
+     * offset by 32, so the output never contains control characters or
+     * surrogates and is safe for localStorage and Firebase.
      */
     compressData(data) {
-        if (typeof data === 'object') {
-            data = JSON.stringify(data);
+        const json = JSON.stringify(data);
+        const bytes = new TextEncoder().encode(json);
+        if (bytes.length === 0) return `${this.COMPRESSION_HEADER}0:`;
+
+        const MAX_CODES = 1 << 16;
+        const dictionary = new Map(); // prefix code * 256 + byte -> code
+        let nextCode = 256;
+        let width = 9;
+
+        const chars = [];
+        let buffer = 0;
+        let bufferBits = 0;
+        let codeCount = 0;
+        const emit = (code) => {
+            buffer = buffer * (1 << width) + code;
+            bufferBits += width;
+            codeCount++;
+            while (bufferBits >= 15) {
+                bufferBits -= 15;
+                const divisor = 2 ** bufferBits;
+                chars.push(32 + Math.floor(buffer / divisor));
+                buffer %= divisor;
+            }
+        };
+
+        let prefix = bytes[0];
+        for (let i = 1; i < bytes.length; i++) {
+            const key = prefix * 256 + bytes[i];
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < MAX_CODES) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << width) && width < 16) width++;
+            }
+            prefix = bytes[i];
+        }
+        emit(prefix);
+
+        if (bufferBits > 0) {
+            chars.push(32 + buffer * (1 << (15 - bufferBits)));
         }
-        // Simple compression - in production, use LZ-string library
-        return btoa(data);
+
+        // Build the string in chunks to stay within argument limits
+        let packed = '';
+        for (let i = 0; i < chars.length; i += 8192) {
+            packed += String.fromCharCode(...chars.slice(i, i + 8192));
+        }
+
+        return `${this.COMPRESSION_HEADER}${codeCount}:${packed}`;
     },
 
     /**
-     * Decompress data
+     * Decompress data written by compressData, or plain / legacy base64 JSON
      */
     decompressData(compressedData) {
         try {
-            const data = atob(compressedData);
-            return JSON.parse(data);
+            if (!compressedData.startsWith(this.COMPRESSION_HEADER)) {
+                return this.parseUncompressed(compressedData);
+            }
+
+            const body = compressedData.slice(this.COMPRESSION_HEADER.length);
+            const separator = body.indexOf(':');
+            const codeCount = parseInt(body.slice(0, separator));
+            const packed = body.slice(separator + 1);
+            if (codeCount === 0) return null;
+
+            const MAX_CODES = 1 << 16;
+            const prefixes = new Int32Array(MAX_CODES);
+            const suffixes = new Uint8Array(MAX_CODES);
+            const firsts = new Uint8Array(MAX_CODES);
+            const lengths = new Int32Array(MAX_CODES);
+            for (let i = 0; i < 256; i++) {
+                suffixes[i] = i;
+                firsts[i] = i;
+                lengths[i] = 1;
+            }
+
+            let output = new Uint8Array(Math.max(1024, packed.length * 4));
+            let outLength = 0;
+            const write = (code) => {
+                const length = lengths[code];
+                if (outLength + length > output.length) {
+                    const grown = new Uint8Array(Math.max(output.length * 2, outLength + length));
+                    grown.set(output);
+                    output = grown;
+                }
+                // Walk the prefix chain backwards
+                for (let i = outLength + length - 1, c = code; i >= outLength; i--) {
+                    output[i] = suffixes[c];
+                    c = prefixes[c];
+                }
+                outLength += length;
+            };
+
+            let charIndex = 0;
+            let buffer = 0;
+            let bufferBits = 0;
+            const read = (width) => {
+                while (bufferBits < width) {
+                    buffer = buffer * 32768 + (packed.charCodeAt(charIndex++) - 32);
+                    bufferBits += 15;
+                }
+                bufferBits -= width;
+                const divisor = 2 ** bufferBits;
+                const code = Math.floor(buffer / divisor);
+                buffer %= divisor;
+                return code;
+            };
+
+            // The decoder reserves each entry when it reads a code, as the
+            // encoder did when it emitted one, and fills it in on the next read
+            let nextCode = 256;
+            let width = 9;
+            let previous = -1;
+            let pending = -1;
+            const reserve = () => {
+                pending = -1;
+                if (nextCode < MAX_CODES) {
+                    pending = nextCode++;
+                    if (nextCode > (1 << width) && width < 16) width++;
+                }
+            };
+
+            for (let n = 0; n < codeCount; n++) {
+                const code = read(width);
+
+                if (previous >= 0 && pending >= 0) {
+                    // Entry is previous + first byte of this code (itself, when code === pending)
+                    prefixes[pending] = previous;
+                    suffixes[pending] = code === pending ? firsts[previous] : firsts[code];
+                    firsts[pending] = firsts[previous];
+                    lengths[pending] = lengths[previous] + 1;
+                } else if (code >= 256 && lengths[code] === 0) {
+                    throw new Error(`Invalid LZW code ${code}`);
+                }
+
+                write(code);
+                reserve();
+                previous = code;
+            }
+
+            return JSON.parse(new TextDecoder().decode(output.subarray(0, outLength)));
         } catch (e) {
             console.error('Decompression error:', e);
             return null;
         }
     },
 
+    /**
+     * Parse stored data written without compression, or by the old base64 encoder
+     */
+    parseUncompressed(data) {
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            return JSON.parse(atob(data));
+        }
+    },
+
     /**
      * Create notification
      */